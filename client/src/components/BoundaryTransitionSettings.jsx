@@ -11,9 +11,22 @@ const BoundaryTransitionSettings = () => {
       fadeOutLength: 2.0,
       fadeInType: "volume_fade",
       fadeOutType: "lowpass_filter",
+      fadeInCurve: "linear",
+      fadeOutCurve: "linear",
+      quantization: "none",
+      playbackMode: "loop",
       transitionRadius: 10,
       blendingEnabled: true,
       crossfadeOverlap: true,
+      exclusiveGroup: null,
+      priority: 0,
+      ducking: {
+        enabled: false,
+        amount: 9,
+        attack: 0.3,
+        release: 1.0
+      },
+      modulations: [],
       advancedSettings: {
         lowpassFrequency: {
           start: 20000,
@@ -47,6 +60,43 @@ const BoundaryTransitionSettings = () => {
     setBoundary({ ...boundary, transitionSettings: newSettings });
   };
   
+  // Handle ducking settings change
+  const handleDuckingChange = (property, value) => {
+    handleChange('ducking', { ...settings.ducking, [property]: value });
+  };
+  
+  // Handle movement modulation changes
+  const handleModulationChange = (index, property, value) => {
+    const modulations = settings.modulations.map((modulation, i) => (
+      i === index ? { ...modulation, [property]: value } : modulation
+    ));
+    handleChange('modulations', modulations);
+  };
+  
+  const handleModulationRangeChange = (index, range, end, value) => {
+    const values = [...settings.modulations[index][range]];
+    values[end] = value;
+    handleModulationChange(index, range, values);
+  };
+  
+  const addModulation = () => {
+    handleChange('modulations', [
+      ...settings.modulations,
+      {
+        feature: 'speed',
+        target: 'lowpass.frequency',
+        inputRange: [0, 2],
+        outputRange: [500, 20000],
+        curve: 'exponential',
+        smoothing: 1.0
+      }
+    ]);
+  };
+  
+  const removeModulation = (index) => {
+    handleChange('modulations', settings.modulations.filter((modulation, i) => i !== index));
+  };
+  
   // Handle advanced settings change
   const handleAdvancedChange = (category, property, value) => {
     const advancedSettings = { ...settings.advancedSettings };
@@ -78,6 +128,64 @@ const BoundaryTransitionSettings = () => {
     { id: 'spatial_blend', name: 'Spatial Blend', icon: <Music size={16} /> }
   ];
   
+  // Available entry quantization units
+  const quantizationUnits = [
+    { id: 'none', name: 'Immediately' },
+    { id: 'beat', name: 'Next Beat' },
+    { id: 'bar', name: 'Next Bar' },
+    { id: 'phrase', name: 'Next Phrase' }
+  ];
+  
+  // Available playback modes
+  const playbackModes = [
+    { id: 'loop', name: 'Loop from Start' },
+    { id: 'one_shot', name: 'One-Shot' },
+    { id: 'once_per_visit', name: 'Play Once per Visit' },
+    { id: 'resume', name: 'Resume Where Left Off' },
+    { id: 'free_running', name: 'Free-Running' }
+  ];
+  
+  // Available fade curve shapes
+  const curveShapes = [
+    { id: 'linear', name: 'Linear' },
+    { id: 'exponential', name: 'Exponential' },
+    { id: 'equal_power', name: 'Equal Power' },
+    { id: 'logarithmic', name: 'Logarithmic' },
+    { id: 's_curve', name: 'S-Curve' }
+  ];
+  
+  // Listener movement features that can drive parameters
+  const movementFeatures = [
+    { id: 'speed', name: 'Speed (m/s)' },
+    { id: 'heading', name: 'Heading (degrees)' },
+    { id: 'acceleration', name: 'Acceleration (m/s²)' },
+    { id: 'distanceToCenter', name: 'Distance to Center (m)' },
+    { id: 'distanceToEdge', name: 'Distance to Edge (m)' },
+    { id: 'altitude', name: 'Altitude (m)' },
+    { id: 'timeInside', name: 'Time Inside (s)' }
+  ];
+  
+  // Parameters that movement can drive; effects are added to the region's chain
+  // as needed, the notes flag targets that only some regions have
+  const modulationTargets = [
+    { id: 'lowpass.frequency', name: 'Low Pass Cutoff (Hz)' },
+    { id: 'lowpass.Q', name: 'Low Pass Resonance' },
+    { id: 'highpass.frequency', name: 'High Pass Cutoff (Hz)' },
+    { id: 'reverb.mix', name: 'Reverb Mix' },
+    { id: 'delay.time', name: 'Delay Time (s)' },
+    { id: 'delay.feedback', name: 'Delay Feedback' },
+    { id: 'pitchShift.semitones', name: 'Pitch Shift (semitones)' },
+    { id: 'spatialAudio.pan', name: 'Pan', note: 'Only applies to regions without a map location' },
+    { id: 'synth.frequency', name: 'Synth Frequency (Hz)', note: 'Only applies to synthesized regions' },
+    { id: 'synth.cutoff', name: 'Synth Cutoff (Hz)', note: 'Only applies to synthesized regions' },
+    { id: 'synth.position', name: 'Granular Position', note: 'Only applies to granular regions' }
+  ];
+  
+  const getModulationTargetNote = (targetId) => {
+    const target = modulationTargets.find(t => t.id === targetId);
+    return target ? target.note : null;
+  };
+  
   return (
     <div className="bg-white dark:bg-gray-800 rounded-lg shadow-md w-full max-w-md">
       {/* Header */}
@@ -120,6 +228,21 @@ const BoundaryTransitionSettings = () => {
           </div>
         </div>
         
+        <div className="mb-4">
+          <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+            Playback Mode
+          </label>
+          <select
+            value={settings.playbackMode}
+            onChange={(e) => handleChange('playbackMode', e.target.value)}
+            className="w-full px-3 py-2 text-sm rounded-md bg-gray-100 text-gray-700 dark:bg-gray-700 dark:text-gray-300"
+          >
+            {playbackModes.map(mode => (
+              <option key={mode.id} value={mode.id}>{mode.name}</option>
+            ))}
+          </select>
+        </div>
+        
         {/* Tabs for Entry/Exit */}
         <div className="flex border-b border-gray-200 dark:border-gray-700 mb-4">
           <button
@@ -167,6 +290,36 @@ const BoundaryTransitionSettings = () => {
               </div>
             </div>
             
+            <div className="mb-4">
+              <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+                Fade In Curve
+              </label>
+              <select
+                value={settings.fadeInCurve}
+                onChange={(e) => handleChange('fadeInCurve', e.target.value)}
+                className="w-full px-3 py-2 text-sm rounded-md bg-gray-100 text-gray-700 dark:bg-gray-700 dark:text-gray-300"
+              >
+                {curveShapes.map(curve => (
+                  <option key={`entry-curve-${curve.id}`} value={curve.id}>{curve.name}</option>
+                ))}
+              </select>
+            </div>
+            
+            <div className="mb-4">
+              <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+                Start On
+              </label>
+              <select
+                value={settings.quantization}
+                onChange={(e) => handleChange('quantization', e.target.value)}
+                className="w-full px-3 py-2 text-sm rounded-md bg-gray-100 text-gray-700 dark:bg-gray-700 dark:text-gray-300"
+              >
+                {quantizationUnits.map(unit => (
+                  <option key={unit.id} value={unit.id}>{unit.name}</option>
+                ))}
+              </select>
+            </div>
+            
             <div className="mb-4">
               <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
                 Fade In Type
@@ -214,6 +367,21 @@ const BoundaryTransitionSettings = () => {
               </div>
             </div>
             
+            <div className="mb-4">
+              <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+                Fade Out Curve
+              </label>
+              <select
+                value={settings.fadeOutCurve}
+                onChange={(e) => handleChange('fadeOutCurve', e.target.value)}
+                className="w-full px-3 py-2 text-sm rounded-md bg-gray-100 text-gray-700 dark:bg-gray-700 dark:text-gray-300"
+              >
+                {curveShapes.map(curve => (
+                  <option key={`exit-curve-${curve.id}`} value={curve.id}>{curve.name}</option>
+                ))}
+              </select>
+            </div>
+            
             <div className="mb-4">
               <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
                 Fade Out Type
@@ -269,6 +437,256 @@ const BoundaryTransitionSettings = () => {
             </label>
           </div>
         </div>
+        
+        {/* Layering */}
+        <div className="mb-4">
+          <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+            Exclusive Group
+          </label>
+          <input
+            type="text"
+            placeholder="e.g. rooms"
+            value={settings.exclusiveGroup || ''}
+            onChange={(e) => handleChange('exclusiveGroup', e.target.value.trim() || null)}
+            className="w-full px-3 py-2 text-sm rounded-md bg-gray-100 text-gray-700 dark:bg-gray-700 dark:text-gray-300"
+          />
+          <p className="text-xs text-gray-500 dark:text-gray-400 mt-1">
+            Only one region in a group is audible at a time
+          </p>
+        </div>
+        
+        <div className="mb-4">
+          <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+            Priority
+          </label>
+          <div className="flex items-center">
+            <input
+              type="range"
+              min="0"
+              max="10"
+              step="1"
+              value={settings.priority}
+              onChange={(e) => handleChange('priority', Number(e.target.value))}
+              className="w-full h-2 bg-gray-200 rounded-lg appearance-none cursor-pointer dark:bg-gray-700"
+            />
+            <span className="ml-2 text-sm min-w-12 text-gray-600 dark:text-gray-300">
+              {settings.priority}
+            </span>
+          </div>
+        </div>
+        
+        <div className="flex items-center mb-4">
+          <input
+            type="checkbox"
+            id="duckingEnabled"
+            checked={settings.ducking.enabled}
+            onChange={(e) => handleDuckingChange('enabled', e.target.checked)}
+            className="h-4 w-4 text-blue-600 rounded border-gray-300 focus:ring-blue-500 dark:border-gray-600 dark:bg-gray-700"
+          />
+          <label htmlFor="duckingEnabled" className="ml-2 text-sm text-gray-700 dark:text-gray-300">
+            Duck lower priority regions
+          </label>
+        </div>
+        
+        {settings.ducking.enabled && (
+          <div className="space-y-4 mb-4">
+            <div>
+              <label className="block text-xs text-gray-600 dark:text-gray-400 mb-1">
+                Duck Amount (dB)
+              </label>
+              <div className="flex items-center">
+                <input
+                  type="range"
+                  min="1"
+                  max="30"
+                  step="1"
+                  value={settings.ducking.amount}
+                  onChange={(e) => handleDuckingChange('amount', Number(e.target.value))}
+                  className="w-full h-2 bg-gray-200 rounded-lg appearance-none cursor-pointer dark:bg-gray-700"
+                />
+                <span className="ml-2 text-xs min-w-12 text-gray-600 dark:text-gray-300">
+                  -{settings.ducking.amount} dB
+                </span>
+              </div>
+            </div>
+            
+            <div>
+              <label className="block text-xs text-gray-600 dark:text-gray-400 mb-1">
+                Attack (seconds)
+              </label>
+              <div className="flex items-center">
+                <input
+                  type="range"
+                  min="0.01"
+                  max="2"
+                  step="0.01"
+                  value={settings.ducking.attack}
+                  onChange={(e) => handleDuckingChange('attack', Number(e.target.value))}
+                  className="w-full h-2 bg-gray-200 rounded-lg appearance-none cursor-pointer dark:bg-gray-700"
+                />
+                <span className="ml-2 text-xs min-w-12 text-gray-600 dark:text-gray-300">
+                  {settings.ducking.attack.toFixed(2)}s
+                </span>
+              </div>
+            </div>
+            
+            <div>
+              <label className="block text-xs text-gray-600 dark:text-gray-400 mb-1">
+                Release (seconds)
+              </label>
+              <div className="flex items-center">
+                <input
+                  type="range"
+                  min="0.1"
+                  max="5"
+                  step="0.1"
+                  value={settings.ducking.release}
+                  onChange={(e) => handleDuckingChange('release', Number(e.target.value))}
+                  className="w-full h-2 bg-gray-200 rounded-lg appearance-none cursor-pointer dark:bg-gray-700"
+                />
+                <span className="ml-2 text-xs min-w-12 text-gray-600 dark:text-gray-300">
+                  {settings.ducking.release.toFixed(1)}s
+                </span>
+              </div>
+            </div>
+          </div>
+        )}
+        
+        {/* Movement Modulation */}
+        <div className="mb-4">
+          <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+            Movement Modulation
+          </label>
+          <p className="text-xs text-gray-500 dark:text-gray-400 mb-2">
+            Map how the listener moves to effect parameters. While the listener crosses
+            the transition radius, the entry and exit transitions keep the volume and
+            the parameters they fade.
+          </p>
+          
+          {settings.modulations.map((modulation, index) => (
+            <div key={`modulation-${index}`} className="p-3 mb-2 rounded-md bg-gray-50 dark:bg-gray-700">
+              <div className="grid grid-cols-2 gap-2 mb-2">
+                <select
+                  value={modulation.feature}
+                  onChange={(e) => handleModulationChange(index, 'feature', e.target.value)}
+                  className="px-2 py-1 text-xs rounded-md bg-gray-100 text-gray-700 dark:bg-gray-600 dark:text-gray-300"
+                >
+                  {movementFeatures.map(feature => (
+                    <option key={feature.id} value={feature.id}>{feature.name}</option>
+                  ))}
+                </select>
+                <select
+                  value={modulation.target}
+                  onChange={(e) => handleModulationChange(index, 'target', e.target.value)}
+                  className="px-2 py-1 text-xs rounded-md bg-gray-100 text-gray-700 dark:bg-gray-600 dark:text-gray-300"
+                >
+                  {modulationTargets.map(target => (
+                    <option key={target.id} value={target.id}>{target.name}</option>
+                  ))}
+                </select>
+              </div>
+              
+              {getModulationTargetNote(modulation.target) && (
+                <p className="text-xs text-yellow-600 dark:text-yellow-400 mb-2">
+                  {getModulationTargetNote(modulation.target)}
+                </p>
+              )}
+              
+              <div className="grid grid-cols-2 gap-2 mb-2">
+                <div>
+                  <label className="block text-xs text-gray-600 dark:text-gray-400 mb-1">
+                    Input Range
+                  </label>
+                  <div className="flex items-center">
+                    <input
+                      type="number"
+                      value={modulation.inputRange[0]}
+                      onChange={(e) => handleModulationRangeChange(index, 'inputRange', 0, Number(e.target.value))}
+                      className="w-full px-2 py-1 text-xs rounded-md bg-gray-100 text-gray-700 dark:bg-gray-600 dark:text-gray-300"
+                    />
+                    <span className="mx-1 text-xs text-gray-500">–</span>
+                    <input
+                      type="number"
+                      value={modulation.inputRange[1]}
+                      onChange={(e) => handleModulationRangeChange(index, 'inputRange', 1, Number(e.target.value))}
+                      className="w-full px-2 py-1 text-xs rounded-md bg-gray-100 text-gray-700 dark:bg-gray-600 dark:text-gray-300"
+                    />
+                  </div>
+                </div>
+                <div>
+                  <label className="block text-xs text-gray-600 dark:text-gray-400 mb-1">
+                    Output Range
+                  </label>
+                  <div className="flex items-center">
+                    <input
+                      type="number"
+                      value={modulation.outputRange[0]}
+                      onChange={(e) => handleModulationRangeChange(index, 'outputRange', 0, Number(e.target.value))}
+                      className="w-full px-2 py-1 text-xs rounded-md bg-gray-100 text-gray-700 dark:bg-gray-600 dark:text-gray-300"
+                    />
+                    <span className="mx-1 text-xs text-gray-500">–</span>
+                    <input
+                      type="number"
+                      value={modulation.outputRange[1]}
+                      onChange={(e) => handleModulationRangeChange(index, 'outputRange', 1, Number(e.target.value))}
+                      className="w-full px-2 py-1 text-xs rounded-md bg-gray-100 text-gray-700 dark:bg-gray-600 dark:text-gray-300"
+                    />
+                  </div>
+                </div>
+              </div>
+              
+              <div className="grid grid-cols-2 gap-2 mb-2">
+                <div>
+                  <label className="block text-xs text-gray-600 dark:text-gray-400 mb-1">
+                    Curve
+                  </label>
+                  <select
+                    value={modulation.curve}
+                    onChange={(e) => handleModulationChange(index, 'curve', e.target.value)}
+                    className="w-full px-2 py-1 text-xs rounded-md bg-gray-100 text-gray-700 dark:bg-gray-600 dark:text-gray-300"
+                  >
+                    {curveShapes.map(curve => (
+                      <option key={`modulation-curve-${curve.id}`} value={curve.id}>{curve.name}</option>
+                    ))}
+                  </select>
+                </div>
+                <div>
+                  <label className="block text-xs text-gray-600 dark:text-gray-400 mb-1">
+                    Smoothing
+                  </label>
+                  <div className="flex items-center">
+                    <input
+                      type="range"
+                      min="0"
+                      max="5"
+                      step="0.1"
+                      value={modulation.smoothing}
+                      onChange={(e) => handleModulationChange(index, 'smoothing', Number(e.target.value))}
+                      className="w-full h-2 bg-gray-200 rounded-lg appearance-none cursor-pointer dark:bg-gray-600"
+                    />
+                    <span className="ml-2 text-xs min-w-12 text-gray-600 dark:text-gray-300">
+                      {modulation.smoothing.toFixed(1)}s
+                    </span>
+                  </div>
+                </div>
+              </div>
+              
+              <button
+                onClick={() => removeModulation(index)}
+                className="text-xs text-red-600 hover:text-red-800 dark:text-red-400 dark:hover:text-red-300"
+              >
+                Remove
+              </button>
+            </div>
+          ))}
+          
+          <button
+            onClick={addModulation}
+            className="px-3 py-1 text-sm rounded-md bg-gray-100 text-gray-700 hover:bg-gray-200 dark:bg-gray-700 dark:text-gray-300 dark:hover:bg-gray-600"
+          >
+            Add Mapping
+          </button>
+        </div>
       </div>
       
       {/* Advanced Settings (expandable) */}
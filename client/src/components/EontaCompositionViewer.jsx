@@ -1,5 +1,11 @@
 import React, { useState, useEffect } from 'react';
-import { MapPin, Layers, Volume2, Settings, User, Menu, X, Trash2, Download, Share2 } from 'lucide-react';
+import { MapPin, Layers, Volume2, Settings, User, Menu, X, Trash2, Download, Share2, Upload } from 'lucide-react';
+import { analyzeAudioFile } from '../services/AudioUtils';
+import BoundaryTransitionManager from '../services/BoundaryTransitionManager';
+import RegionPresenceTracker from '../services/RegionPresenceTracker';
+import RegionPrefetcher from '../services/RegionPrefetcher';
+import HeadingTracker from '../services/HeadingTracker';
+import ClockSyncService from '../services/ClockSyncService';
 
 // Sample composition data for demonstration
 const sampleComposition = {
@@ -10,6 +16,25 @@ const sampleComposition = {
   location: {
     name: "Washington Square Park, NYC"
   },
+  settings: {
+    masterVolume: 80,
+    masterBus: {
+      bypass: false,
+      eq: {
+        lowGain: 0,
+        midGain: 0,
+        highGain: 0
+      },
+      limiter: {
+        ceiling: -1
+      }
+    },
+    headingOffset: 0,
+    tempo: {
+      bpm: 120,
+      timeSignature: "4/4"
+    }
+  },
   audioRegions: [
     { id: "1", name: "Fountain Area", volume: 80 },
     { id: "2", name: "Eastern Pathways", volume: 65 },
@@ -18,27 +43,172 @@ const sampleComposition = {
   ]
 };
 
-const EontaCompositionViewer = () => {
+const EontaCompositionViewer = ({ audioService, pathRecorderService }) => {
   const [composition, setComposition] = useState(sampleComposition);
   const [isMapVisible, setIsMapVisible] = useState(true);
   const [isMobileMenuOpen, setIsMobileMenuOpen] = useState(false);
   const [activeTab, setActiveTab] = useState('regions');
   const [isDarkMode, setIsDarkMode] = useState(false);
+  const [levels, setLevels] = useState({});
+  const [isAudioLocked, setIsAudioLocked] = useState(false);
+  const [bpmInput, setBpmInput] = useState(String(sampleComposition.settings.tempo.bpm));
+  const [presenceTracker, setPresenceTracker] = useState(null);
+  const [regionPrefetcher, setRegionPrefetcher] = useState(null);
+  const [headingTracker, setHeadingTracker] = useState(null);
 
   // Toggle dark mode
   useEffect(() => {
     document.body.classList.toggle('dark', isDarkMode);
   }, [isDarkMode]);
 
+  // Apply the composition's master settings and tempo to the audio engine
+  useEffect(() => {
+    if (!audioService) return;
+    
+    audioService.setMasterVolume(composition.settings.masterVolume / 100);
+    audioService.setMasterBusSettings(composition.settings.masterBus);
+    audioService.setTempo(composition.settings.tempo.bpm, composition.settings.tempo.timeSignature);
+  }, [audioService]);
+
+  // Follow the listener through the regions on every position fix, recording or not
+  useEffect(() => {
+    if (!audioService) return;
+    
+    const tracker = new RegionPresenceTracker(new BoundaryTransitionManager(audioService), audioService);
+    tracker.start();
+    setPresenceTracker(tracker);
+    
+    return () => {
+      tracker.stop();
+      setPresenceTracker(null);
+    };
+  }, [audioService]);
+
+  // Share the server's clock with the other listeners, so free-running regions line up
+  // (the clock sync hands itself to the audio engine once it has synced)
+  useEffect(() => {
+    if (!audioService) return;
+    
+    const clockSync = new ClockSyncService(audioService);
+    clockSync.start();
+    
+    return () => {
+      clockSync.stop();
+      audioService.setSharedClock(null);
+    };
+  }, [audioService]);
+
+  // Follow the listener's motion outside recordings too
+  useEffect(() => {
+    if (!pathRecorderService) return;
+    
+    pathRecorderService.startTracking();
+    
+    return () => {
+      pathRecorderService.stopTracking();
+    };
+  }, [pathRecorderService]);
+
+  // Load the audio of the regions the listener is heading for
+  useEffect(() => {
+    if (!audioService || !pathRecorderService) return;
+    
+    const prefetcher = new RegionPrefetcher(audioService, pathRecorderService);
+    prefetcher.start();
+    setRegionPrefetcher(prefetcher);
+    
+    return () => {
+      prefetcher.stop();
+      setRegionPrefetcher(null);
+    };
+  }, [audioService, pathRecorderService]);
+
+  // Turn the listener with the device, or with the course when there is no compass
+  useEffect(() => {
+    if (!audioService || !pathRecorderService) return;
+    
+    const tracker = new HeadingTracker(audioService, pathRecorderService);
+    tracker.start();
+    setHeadingTracker(tracker);
+    
+    return () => {
+      tracker.stop();
+      setHeadingTracker(null);
+    };
+  }, [audioService, pathRecorderService]);
+
+  // Apply the composition's compass calibration, as saved and as edited
+  useEffect(() => {
+    if (!headingTracker) return;
+    
+    headingTracker.setCalibrationOffset(composition.settings.headingOffset);
+  }, [headingTracker, composition.settings.headingOffset]);
+
+  // Track the composition's regions (skipping those not yet drawn on the map or given audio)
+  useEffect(() => {
+    const regions = composition.audioRegions.filter(region => region.polygon && region.audioData);
+    
+    if (presenceTracker) {
+      presenceTracker.setRegions(regions);
+    }
+    
+    if (regionPrefetcher) {
+      regionPrefetcher.setRegions(regions);
+    }
+  }, [presenceTracker, regionPrefetcher, composition.audioRegions]);
+
+  // Follow live output levels of the playing regions
+  useEffect(() => {
+    if (!audioService) return;
+    
+    const handleMeterUpdate = (event) => setLevels(event.detail.sources);
+    
+    window.addEventListener('audio-meter-update', handleMeterUpdate);
+    audioService.startMetering({ interval: 100 });
+    
+    return () => {
+      window.removeEventListener('audio-meter-update', handleMeterUpdate);
+      audioService.stopMetering();
+    };
+  }, [audioService]);
+
+  // Ask for a tap when the browser will not start audio without one
+  useEffect(() => {
+    if (!audioService) return;
+    
+    const handleContextState = (event) => setIsAudioLocked(event.detail.locked);
+    
+    setIsAudioLocked(audioService.getContextState().locked);
+    window.addEventListener('audio-context-state', handleContextState);
+    
+    return () => {
+      window.removeEventListener('audio-context-state', handleContextState);
+    };
+  }, [audioService]);
+
+  // Map a level in dBFS to a meter width (-60 dB to 0 dB)
+  const meterPercent = (db) => Number.isFinite(db) ? Math.min(100, Math.max(0, (db + 60) / 60 * 100)) : 0;
+
   // Format region list items with volume sliders
   const renderRegionList = () => {
     return composition.audioRegions.map(region => (
       <div key={region.id} className="mb-4 p-3 bg-white dark:bg-gray-800 rounded-lg shadow">
         <div className="flex justify-between items-center mb-2">
           <h3 className="font-medium text-gray-900 dark:text-white">{region.name}</h3>
-          <button className="text-gray-500 hover:text-red-500">
-            <Trash2 size={18} />
-          </button>
+          <div className="flex items-center space-x-2">
+            <label className="text-gray-500 hover:text-blue-500 cursor-pointer" title="Choose audio file">
+              <Upload size={18} />
+              <input 
+                type="file" 
+                accept="audio/*" 
+                className="hidden"
+                onChange={(e) => handleRegionAudioChange(region.id, e.target.files[0])}
+              />
+            </label>
+            <button className="text-gray-500 hover:text-red-500">
+              <Trash2 size={18} />
+            </button>
+          </div>
         </div>
         
         <div className="flex items-center">
@@ -52,6 +222,18 @@ const EontaCompositionViewer = () => {
             className="w-full h-2 bg-gray-200 rounded-lg appearance-none cursor-pointer dark:bg-gray-700"
           />
           <span className="ml-2 text-sm text-gray-600 dark:text-gray-300 w-8">{region.volume}%</span>
+          
+          {/* Live output meter: RMS bar with a peak marker */}
+          <div className="relative ml-2 w-16 h-2 bg-gray-200 dark:bg-gray-700 rounded overflow-hidden">
+            <div 
+              className="absolute left-0 top-0 h-full bg-green-500"
+              style={{ width: `${meterPercent(levels[region.id] && levels[region.id].rms)}%` }}
+            ></div>
+            <div 
+              className="absolute top-0 h-full w-0.5 bg-red-500"
+              style={{ left: `${meterPercent(levels[region.id] && levels[region.id].peak)}%` }}
+            ></div>
+          </div>
         </div>
       </div>
     ));
@@ -67,6 +249,111 @@ const EontaCompositionViewer = () => {
     }));
   };
 
+  // Handle an audio file picked for a region: its loudness is measured once here
+  // and stored with the region, so playback never has to analyze the file
+  const handleRegionAudioChange = async (regionId, file) => {
+    if (!file) return;
+    
+    let loudness;
+    
+    try {
+      loudness = await analyzeAudioFile(file);
+    } catch (error) {
+      console.error(`Error analyzing ${file.name}:`, error);
+      return;
+    }
+    
+    // Release the file picked before
+    const previous = composition.audioRegions.find(region => region.id === regionId);
+    const previousUrl = previous && previous.audioData && previous.audioData.url;
+    if (previousUrl && previousUrl.startsWith('blob:')) {
+      URL.revokeObjectURL(previousUrl);
+    }
+    
+    setComposition(prev => ({
+      ...prev,
+      audioRegions: prev.audioRegions.map(region => 
+        region.id === regionId
+          ? { ...region, audioData: { ...region.audioData, url: URL.createObjectURL(file), sources: null, loudness } }
+          : region
+      )
+    }));
+  };
+
+  // Handle master volume change
+  const handleMasterVolumeChange = (masterVolume) => {
+    setComposition(prev => ({
+      ...prev,
+      settings: { ...prev.settings, masterVolume }
+    }));
+    
+    if (audioService) {
+      audioService.setMasterVolume(masterVolume / 100);
+    }
+  };
+
+  // Handle master bus change (bypass or EQ band gains)
+  const handleMasterBusChange = (changes) => {
+    const masterBus = {
+      ...composition.settings.masterBus,
+      ...changes,
+      eq: { ...composition.settings.masterBus.eq, ...changes.eq }
+    };
+    
+    setComposition(prev => ({
+      ...prev,
+      settings: { ...prev.settings, masterBus }
+    }));
+    
+    if (audioService) {
+      audioService.setMasterBusSettings(masterBus);
+    }
+  };
+
+  // Handle compass calibration change
+  const handleHeadingOffsetChange = (headingOffset) => {
+    setComposition(prev => ({
+      ...prev,
+      settings: { ...prev.settings, headingOffset }
+    }));
+  };
+
+  // Handle tempo or time signature change
+  const handleTempoChange = (property, value) => {
+    const tempo = { ...composition.settings.tempo, [property]: value };
+    
+    setComposition(prev => ({
+      ...prev,
+      settings: { ...prev.settings, tempo }
+    }));
+    
+    if (audioService) {
+      audioService.setTempo(tempo.bpm, tempo.timeSignature);
+    }
+  };
+
+  // Apply the typed tempo once editing is done, restoring the last valid one
+  const handleBpmBlur = () => {
+    const bpm = parseInt(bpmInput, 10);
+    
+    if (bpm >= 20 && bpm <= 300) {
+      handleTempoChange('bpm', bpm);
+      setBpmInput(String(bpm));
+    } else {
+      setBpmInput(String(composition.settings.tempo.bpm));
+    }
+  };
+
+  // Unlock audio, and ask again for the compass (iOS only asks from a tap)
+  const handleUnlock = () => {
+    audioService.unlock();
+    
+    if (headingTracker && !headingTracker.orientationEvent) {
+      headingTracker.stop();
+      headingTracker.start();
+    }
+  };
+
   // Toggle mobile menu
   const toggleMobileMenu = () => {
     setIsMobileMenuOpen(!isMobileMenuOpen);
@@ -220,10 +507,84 @@ const EontaCompositionViewer = () => {
                         type="range" 
                         min="0" 
                         max="100" 
-                        defaultValue="80" 
+                        value={composition.settings.masterVolume} 
+                        onChange={(e) => handleMasterVolumeChange(parseInt(e.target.value))}
                         className="w-full h-2 bg-gray-200 rounded-lg appearance-none cursor-pointer dark:bg-gray-700"
                       />
-                      <span className="ml-2 text-sm w-8">80%</span>
+                      <span className="ml-2 text-sm w-8">{composition.settings.masterVolume}%</span>
+                    </div>
+                  </div>
+                  
+                  <div className="flex items-center justify-between">
+                    <span>Master Processing</span>
+                    <button 
+                      onClick={() => handleMasterBusChange({ bypass: !composition.settings.masterBus.bypass })}
+                      className={`relative inline-block w-12 h-6 rounded-full cursor-pointer ${composition.settings.masterBus.bypass ? 'bg-gray-200 dark:bg-gray-700' : 'bg-blue-500'}`}
+                    >
+                      <div className={`absolute top-1 w-4 h-4 rounded-full bg-white transition-transform ${composition.settings.masterBus.bypass ? 'left-1' : 'left-7'}`}></div>
+                    </button>
+                  </div>
+                  
+                  {['low', 'mid', 'high'].map(band => (
+                    <div key={band} className="flex items-center justify-between">
+                      <span className="capitalize">{band} EQ</span>
+                      <div className="flex items-center w-32">
+                        <input 
+                          type="range" 
+                          min="-12" 
+                          max="12" 
+                          disabled={composition.settings.masterBus.bypass}
+                          value={composition.settings.masterBus.eq[`${band}Gain`]} 
+                          onChange={(e) => handleMasterBusChange({ eq: { [`${band}Gain`]: parseInt(e.target.value) } })}
+                          className="w-full h-2 bg-gray-200 rounded-lg appearance-none cursor-pointer dark:bg-gray-700"
+                        />
+                        <span className="ml-2 text-sm w-8">{composition.settings.masterBus.eq[`${band}Gain`]}dB</span>
+                      </div>
+                    </div>
+                  ))}
+                  
+                  <div className="flex items-center justify-between">
+                    <span>Compass Calibration</span>
+                    <div className="flex items-center w-32">
+                      <input 
+                        type="range" 
+                        min="-180" 
+                        max="180" 
+                        value={composition.settings.headingOffset} 
+                        onChange={(e) => handleHeadingOffsetChange(parseInt(e.target.value))}
+                        className="w-full h-2 bg-gray-200 rounded-lg appearance-none cursor-pointer dark:bg-gray-700"
+                      />
+                      <span className="ml-2 text-sm w-8">{composition.settings.headingOffset}°</span>
+                    </div>
+                  </div>
+                  
+                  <div className="flex items-center justify-between">
+                    <span>Tempo (BPM)</span>
+                    <div className="flex items-center w-32">
+                      <input 
+                        type="number" 
+                        min="20" 
+                        max="300" 
+                        value={bpmInput} 
+                        onChange={(e) => setBpmInput(e.target.value)}
+                        onBlur={handleBpmBlur}
+                        className="w-full px-2 py-1 text-sm rounded-md bg-gray-100 dark:bg-gray-700"
+                      />
+                    </div>
+                  </div>
+                  
+                  <div className="flex items-center justify-between">
+                    <span>Time Signature</span>
+                    <div className="flex items-center w-32">
+                      <select 
+                        value={composition.settings.tempo.timeSignature} 
+                        onChange={(e) => handleTempoChange('timeSignature', e.target.value)}
+                        className="w-full px-2 py-1 text-sm rounded-md bg-gray-100 dark:bg-gray-700"
+                      >
+                        {['2/4', '3/4', '4/4', '5/4', '6/8', '7/8'].map(signature => (
+                          <option key={signature} value={signature}>{signature}</option>
+                        ))}
+                      </select>
                     </div>
                   </div>
                   
@@ -257,6 +618,19 @@ const EontaCompositionViewer = () => {
         </div>
       </div>
       
+      {/* Audio unlock prompt */}
+      {isAudioLocked && (
+        <div className="fixed inset-x-0 top-16 flex justify-center z-50">
+          <button
+            onClick={handleUnlock}
+            className="flex items-center px-4 py-2 bg-blue-600 rounded-full shadow-lg text-white"
+          >
+            <Volume2 size={18} className="mr-2" />
+            Tap to enable audio
+          </button>
+        </div>
+      )}
+      
       {/* Floating Action Button (mobile) */}
       <div className="md:hidden fixed right-4 bottom-4">
         <button 
@@ -1,27 +1,88 @@
 import React, { useState, useEffect, useRef } from 'react';
 import { Play, Square, Map, Timer, Mail, Download, Info } from 'lucide-react';
 
-const PathRecorderUI = () => {
+const PathRecorderUI = ({ pathRecorderService = null, compositionId = null }) => {
   const [isRecording, setIsRecording] = useState(false);
   const [recordingDuration, setRecordingDuration] = useState(0);
   const [pointsRecorded, setPointsRecorded] = useState(0);
   const [recordingId, setRecordingId] = useState(null);
   const [processingStatus, setProcessingStatus] = useState(null);
+  const [downloadUrl, setDownloadUrl] = useState(null);
   const [showEmailForm, setShowEmailForm] = useState(false);
-  const [email, setEmail] = useState('');
+  const [email, setEmail] = useState(localStorage.getItem('userEmail') || '');
   const [error, setError] = useState(null);
   const [success, setSuccess] = useState(null);
+  const [canRenderLocally, setCanRenderLocally] = useState(false);
+  const [isRendering, setIsRendering] = useState(false);
+  const [previewUrl, setPreviewUrl] = useState(null);
   
-  const timerRef = useRef(null);
+  const statusTimerRef = useRef(null);
   const animationFrameRef = useRef(null);
+  const previewUrlRef = useRef(null);
+  
+  // Replace the rendered preview, releasing the previous file
+  const setPreview = (url) => {
+    if (previewUrlRef.current) {
+      URL.revokeObjectURL(previewUrlRef.current);
+    }
+    
+    previewUrlRef.current = url;
+    setPreviewUrl(url);
+  };
+  
+  // Poll the server until the mixdown of a recording is rendered
+  const watchProcessingStatus = (id) => {
+    clearInterval(statusTimerRef.current);
+    
+    statusTimerRef.current = setInterval(async () => {
+      try {
+        const response = await fetch(`/api/compositions/recordings/${id}`, {
+          headers: {
+            'Authorization': `Bearer ${localStorage.getItem('authToken')}`
+          }
+        });
+        
+        if (!response.ok) {
+          throw new Error(`Status request failed with ${response.status}`);
+        }
+        
+        const status = await response.json();
+        setProcessingStatus(status.status);
+        
+        if (status.status === 'completed') {
+          clearInterval(statusTimerRef.current);
+          setDownloadUrl(status.downloadUrl);
+        } else if (status.status === 'error') {
+          clearInterval(statusTimerRef.current);
+          setError('Your composition could not be generated');
+          setCanRenderLocally(Boolean(pathRecorderService.lastRecordingData));
+        }
+      } catch (err) {
+        console.error('Error checking recording status:', err);
+      }
+    }, 5000);
+  };
   
-  // Path Recorder Service would be injected in a real implementation
-  // For this demo, we'll simulate the behavior
   const startRecording = () => {
+    setError(null);
+    
+    if (!pathRecorderService || !pathRecorderService.startRecording(compositionId)) {
+      setError('Path recording is not available on this device');
+      return;
+    }
+    
     setIsRecording(true);
     setRecordingDuration(0);
     setPointsRecorded(0);
-    setError(null);
+    setRecordingId(null);
+    setProcessingStatus(null);
+    setDownloadUrl(null);
+    setCanRenderLocally(false);
+    setPreview(null);
+    clearInterval(statusTimerRef.current);
+    
+    // The download link is emailed when the composition is ready, so ask while walking
+    setShowEmailForm(true);
     
     // Start timer
     const startTime = Date.now();
@@ -34,43 +95,34 @@ const PathRecorderUI = () => {
     
     animationFrameRef.current = requestAnimationFrame(updateTimer);
     
-    // Simulate points being recorded
-    timerRef.current = setInterval(() => {
-      setPointsRecorded(prev => prev + 1);
-    }, 3000);
-    
     // Notify the user that recording has started
     setSuccess('Recording started! Walk through the installation to capture your journey.');
     setTimeout(() => setSuccess(null), 5000);
   };
   
-  const stopRecording = () => {
+  const stopRecording = async () => {
     setIsRecording(false);
+    setShowEmailForm(false);
     
     // Clear timers
     if (animationFrameRef.current) {
       cancelAnimationFrame(animationFrameRef.current);
     }
     
-    if (timerRef.current) {
-      clearInterval(timerRef.current);
-    }
-    
-    // In a real implementation, this would call the path recorder service
-    // For now, we'll simulate the response
-    const newRecordingId = 'rec_' + Math.random().toString(36).substr(2, 9);
-    setRecordingId(newRecordingId);
-    setProcessingStatus('processing');
+    // Uploads the recording; failures are reported with a 'path-recording-error' event
+    const composition = await pathRecorderService.stopRecording();
     
-    // Show email form to send download link
-    setShowEmailForm(true);
+    // The recording can be rendered in the browser as soon as it has stopped
+    setCanRenderLocally(Boolean(pathRecorderService.lastRecordingData));
     
-    // Simulate processing completion after a delay
-    setTimeout(() => {
-      setProcessingStatus('completed');
-    }, 5000);
+    if (composition) {
+      setRecordingId(composition.recordingId);
+      setProcessingStatus(composition.status);
+      watchProcessingStatus(composition.recordingId);
+    }
   };
   
+  // Remember the address; it is sent with the recording when it stops
   const sendDownloadEmail = () => {
     // Validate email
     if (!email || !/^\S+@\S+\.\S+$/.test(email)) {
@@ -78,16 +130,32 @@ const PathRecorderUI = () => {
       return;
     }
     
-    // In a real implementation, this would call the API
-    // For now, we'll simulate the response
+    localStorage.setItem('userEmail', email);
+    
     setError(null);
-    setSuccess(`Download link sent to ${email}! Please check your inbox.`);
+    setSuccess(`We'll send the download link to ${email} when your composition is ready.`);
     setShowEmailForm(false);
     
     // Clear success message after a delay
     setTimeout(() => setSuccess(null), 5000);
   };
   
+  // Render the journey in the browser to preview and download it
+  const renderPreview = async () => {
+    setIsRendering(true);
+    setError(null);
+    
+    try {
+      const blob = await pathRecorderService.renderLocalComposition();
+      setPreview(URL.createObjectURL(blob));
+    } catch (err) {
+      console.error('Error rendering journey:', err);
+      setError('Could not render your journey on this device');
+    } finally {
+      setIsRendering(false);
+    }
+  };
+  
   // Format duration as MM:SS
   const formatDuration = (ms) => {
     const totalSeconds = Math.floor(ms / 1000);
@@ -114,12 +182,38 @@ const PathRecorderUI = () => {
   };
   
   useEffect(() => {
-    // Clean up timers on unmount
+    // Count the points the service records
+    const handlePositionUpdate = (event) => {
+      setPointsRecorded(event.detail.pointCount);
+    };
+    
+    // Offer the local render when the server could not generate the composition
+    const handleRecordingError = (event) => {
+      setError(event.detail.error);
+      
+      if (event.detail.canRenderLocally && pathRecorderService) {
+        setCanRenderLocally(true);
+      }
+    };
+    
+    window.addEventListener('path-position-updated', handlePositionUpdate);
+    window.addEventListener('path-recording-error', handleRecordingError);
+    
     return () => {
-      if (timerRef.current) {
-        clearInterval(timerRef.current);
+      window.removeEventListener('path-position-updated', handlePositionUpdate);
+      window.removeEventListener('path-recording-error', handleRecordingError);
+    };
+  }, [pathRecorderService]);
+  
+  useEffect(() => {
+    // Clean up timers and the rendered preview on unmount
+    return () => {
+      if (previewUrlRef.current) {
+        URL.revokeObjectURL(previewUrlRef.current);
       }
       
+      clearInterval(statusTimerRef.current);
+      
       if (animationFrameRef.current) {
         cancelAnimationFrame(animationFrameRef.current);
       }
@@ -171,13 +265,51 @@ const PathRecorderUI = () => {
             </div>
           </div>
         )}
+        
+        {processingStatus === 'completed' && downloadUrl && (
+          <a
+            href={downloadUrl}
+            className="mt-2 flex items-center justify-center px-3 py-2 bg-blue-500 text-white rounded-md hover:bg-blue-600 text-sm"
+          >
+            <Download size={16} className="mr-2" />
+            Download your composition
+          </a>
+        )}
       </div>
       
+      {/* Local Preview */}
+      {canRenderLocally && !isRecording && (
+        <div className="mb-4 bg-gray-100 dark:bg-gray-700 p-3 rounded-lg">
+          {previewUrl ? (
+            <div className="flex flex-col space-y-2">
+              <audio controls src={previewUrl} className="w-full" />
+              <a
+                href={previewUrl}
+                download={`journey-${recordingId || 'recording'}.wav`}
+                className="flex items-center justify-center px-3 py-2 bg-blue-500 text-white rounded-md hover:bg-blue-600 text-sm"
+              >
+                <Download size={16} className="mr-2" />
+                Download
+              </a>
+            </div>
+          ) : (
+            <button
+              className="w-full flex items-center justify-center px-3 py-2 bg-blue-500 text-white rounded-md hover:bg-blue-600 disabled:opacity-50 text-sm"
+              onClick={renderPreview}
+              disabled={isRendering}
+            >
+              <Play size={16} className="mr-2" />
+              {isRendering ? 'Rendering your journey...' : 'Preview your journey'}
+            </button>
+          )}
+        </div>
+      )}
+      
       {/* Email Form */}
       {showEmailForm && (
         <div className="mb-4 bg-blue-50 dark:bg-blue-900/30 p-3 rounded-lg">
           <p className="text-sm text-blue-800 dark:text-blue-300 mb-2">
-            Enter your email to receive a download link for your composition:
+            Enter your email to receive a download link when your composition is ready:
           </p>
           
           <div className="flex items-center">
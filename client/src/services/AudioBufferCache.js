@@ -0,0 +1,191 @@
+import { loadAudioFile } from './AudioUtils';
+
+/**
+ * Audio Buffer Cache
+ * Shares decoded audio buffers between playback requests, deduplicates
+ * concurrent loads of the same URL and evicts least-recently-used buffers
+ * when the memory budget is exceeded
+ */
+class AudioBufferCache {
+  /**
+   * @param {BaseAudioContext} audioContext - Context used to decode audio
+   * @param {Object} options - Cache options
+   * @param {Number} options.maxBytes - Memory budget for decoded audio in bytes
+   */
+  constructor(audioContext, options = {}) {
+    this.audioContext = audioContext;
+    this.maxBytes = options.maxBytes || 150 * 1024 * 1024; // 150 MB
+    
+    // Map iteration order doubles as recency order (oldest first)
+    this.buffers = new Map();
+    this.pending = new Map();
+    this.totalBytes = 0;
+    
+    this.stats = {
+      hits: 0,
+      misses: 0,
+      deduplicated: 0,
+      evictions: 0
+    };
+  }
+  
+  /**
+   * Get a decoded buffer, loading it if necessary
+   * @param {String} url - URL to audio file
+   * @returns {Promise<AudioBuffer>} Decoded audio buffer
+   */
+  async get(url) {
+    const entry = this.buffers.get(url);
+    
+    if (entry) {
+      this.stats.hits++;
+      
+      // Move to the most recently used position
+      this.buffers.delete(url);
+      this.buffers.set(url, entry);
+      
+      return entry.buffer;
+    }
+    
+    if (this.pending.has(url)) {
+      this.stats.deduplicated++;
+      return this.pending.get(url);
+    }
+    
+    this.stats.misses++;
+    
+    const load = loadAudioFile(this.audioContext, url)
+      .then(buffer => {
+        this.store(url, buffer);
+        return buffer;
+      })
+      .finally(() => {
+        this.pending.delete(url);
+      });
+    
+    this.pending.set(url, load);
+    
+    return load;
+  }
+  
+  /**
+   * Load a buffer in the background without waiting for it
+   * @param {String} url - URL to audio file
+   * @returns {Promise<Boolean>} Whether the buffer was loaded
+   */
+  prefetch(url) {
+    if (this.has(url)) return Promise.resolve(true);
+    
+    return this.get(url)
+      .then(() => true)
+      .catch(() => false);
+  }
+  
+  /**
+   * Check whether a buffer is cached or loading
+   * @param {String} url - URL to audio file
+   * @returns {Boolean} True if cached or loading
+   */
+  has(url) {
+    return this.buffers.has(url) || this.pending.has(url);
+  }
+  
+  /**
+   * Add a decoded buffer to the cache
+   * @param {String} url - URL the buffer was loaded from
+   * @param {AudioBuffer} buffer - Decoded audio buffer
+   */
+  store(url, buffer) {
+    const bytes = this.estimateSize(buffer);
+    
+    // Buffers larger than the whole budget are returned but never cached
+    if (bytes > this.maxBytes) return;
+    
+    this.delete(url);
+    this.buffers.set(url, { buffer, bytes });
+    this.totalBytes += bytes;
+    
+    this.evict();
+  }
+  
+  /**
+   * Remove a buffer from the cache
+   * @param {String} url - URL to audio file
+   * @returns {Boolean} True if a buffer was removed
+   */
+  delete(url) {
+    const entry = this.buffers.get(url);
+    if (!entry) return false;
+    
+    this.buffers.delete(url);
+    this.totalBytes -= entry.bytes;
+    
+    return true;
+  }
+  
+  /**
+   * Evict least-recently-used buffers until the cache fits its budget
+   */
+  evict() {
+    for (const url of this.buffers.keys()) {
+      if (this.totalBytes <= this.maxBytes) break;
+      
+      this.delete(url);
+      this.stats.evictions++;
+    }
+  }
+  
+  /**
+   * Decode with another context, e.g. after the previous one was closed
+   * Cached buffers are not tied to a context and stay usable
+   * @param {BaseAudioContext} audioContext - Context used to decode audio
+   */
+  setContext(audioContext) {
+    this.audioContext = audioContext;
+  }
+  
+  /**
+   * Change the memory budget, evicting buffers if necessary
+   * @param {Number} maxBytes - Memory budget in bytes
+   */
+  setMaxBytes(maxBytes) {
+    this.maxBytes = maxBytes;
+    this.evict();
+  }
+  
+  /**
+   * Remove all cached buffers
+   */
+  clear() {
+    this.buffers.clear();
+    this.totalBytes = 0;
+  }
+  
+  /**
+   * Estimate the memory used by a decoded buffer (32-bit float samples)
+   * @param {AudioBuffer} buffer - Decoded audio buffer
+   * @returns {Number} Size in bytes
+   */
+  estimateSize(buffer) {
+    return buffer.length * buffer.numberOfChannels * 4;
+  }
+  
+  /**
+   * Get cache statistics
+   * @returns {Object} Hit/miss counts and memory usage
+   */
+  getStats() {
+    const lookups = this.stats.hits + this.stats.misses + this.stats.deduplicated;
+    
+    return {
+      ...this.stats,
+      hitRate: lookups > 0 ? (this.stats.hits + this.stats.deduplicated) / lookups : 0,
+      entries: this.buffers.size,
+      pending: this.pending.size,
+      totalBytes: this.totalBytes,
+      maxBytes: this.maxBytes
+    };
+  }
+}
+
+export default AudioBufferCache;
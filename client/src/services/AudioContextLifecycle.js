@@ -0,0 +1,286 @@
+// Events that count as a user gesture for unlocking audio
+const GESTURE_EVENTS = ['pointerdown', 'touchend', 'keydown', 'click'];
+
+/**
+ * Audio Context Lifecycle
+ * Keeps an AudioContext playing through what mobile browsers do to it:
+ * iOS Safari starts contexts suspended until a user gesture, pages are
+ * hidden and frozen, phone calls interrupt audio, and a context can be
+ * closed under the page. Streamed media elements are locked the same way.
+ * Every state change is announced with an 'audio-context-state' event,
+ * whose locked flag tells the UI to ask the listener to tap to enable audio.
+ */
+class AudioContextLifecycle {
+  /**
+   * @param {EnhancedAudioService} audioService - Audio service whose context is managed
+   * @param {Object} options - Lifecycle options
+   * @param {Boolean} options.suspendInBackground - Suspend the context while the page is hidden or frozen
+   *   (off by default: listeners walk with the screen locked)
+   */
+  constructor(audioService, options = {}) {
+    this.audioService = audioService;
+    this.context = null;
+    this.locked = false;                // a user gesture is needed to start audio
+    this.mediaBlocked = false;          // the browser refused to start a streamed media element
+    this.suspendedInBackground = false; // suspended by us because the page was hidden or frozen
+    this.resumeTimer = null;
+    this.resumeAttempts = 0;
+    this.rebuilding = false;
+    
+    // Settings
+    this.settings = {
+      suspendInBackground: options.suspendInBackground === true,
+      resumeRetryDelay: 1000, // ms, doubled after every failed attempt
+      maxResumeAttempts: 5
+    };
+    
+    // Bind methods
+    this.handleStateChange = this.handleStateChange.bind(this);
+    this.handleGesture = this.handleGesture.bind(this);
+    this.handleVisibilityChange = this.handleVisibilityChange.bind(this);
+    this.handleFreeze = this.handleFreeze.bind(this);
+    this.handlePageResume = this.handlePageResume.bind(this);
+    this.handlePageShow = this.handlePageShow.bind(this);
+    
+    GESTURE_EVENTS.forEach(type => {
+      document.addEventListener(type, this.handleGesture, { capture: true, passive: true });
+    });
+    document.addEventListener('visibilitychange', this.handleVisibilityChange);
+    document.addEventListener('freeze', this.handleFreeze);
+    document.addEventListener('resume', this.handlePageResume);
+    window.addEventListener('pageshow', this.handlePageShow);
+  }
+  
+  /**
+   * Manage a context, replacing the previous one
+   * @param {AudioContext} context - Audio context
+   */
+  attach(context) {
+    if (this.context) {
+      this.context.onstatechange = null;
+    }
+    
+    this.context = context;
+    this.context.onstatechange = this.handleStateChange;
+    this.resumeAttempts = 0;
+    
+    this.handleStateChange();
+  }
+  
+  /**
+   * Stop managing the context and remove all listeners
+   */
+  dispose() {
+    if (this.context) {
+      this.context.onstatechange = null;
+    }
+    
+    clearTimeout(this.resumeTimer);
+    
+    GESTURE_EVENTS.forEach(type => {
+      document.removeEventListener(type, this.handleGesture, { capture: true });
+    });
+    document.removeEventListener('visibilitychange', this.handleVisibilityChange);
+    document.removeEventListener('freeze', this.handleFreeze);
+    document.removeEventListener('resume', this.handlePageResume);
+    window.removeEventListener('pageshow', this.handlePageShow);
+  }
+  
+  /**
+   * Start the context; must be called from a user gesture on iOS
+   * @returns {Promise<Boolean>} Whether the context is running
+   */
+  async unlock() {
+    const context = this.context;
+    
+    // Media elements only count the gesture if they are played before anything is awaited
+    this.audioService.unlockMediaElements();
+    this.mediaBlocked = false;
+    
+    if (context.state === 'running') {
+      this.announceState();
+      return true;
+    }
+    
+    // Older iOS versions only unlock once a sound has started within the gesture
+    const buffer = context.createBuffer(1, 1, context.sampleRate);
+    const source = context.createBufferSource();
+    source.buffer = buffer;
+    source.connect(context.destination);
+    source.start(0);
+    
+    this.suspendedInBackground = false;
+    
+    try {
+      await context.resume();
+    } catch (error) {
+      console.error('Error unlocking audio:', error);
+    }
+    
+    this.handleStateChange();
+    
+    return context.state === 'running';
+  }
+  
+  handleGesture() {
+    if (!this.context || this.context.state === 'closed') return;
+    
+    if (this.context.state !== 'running' || this.mediaBlocked) {
+      this.unlock();
+    }
+  }
+  
+  handleVisibilityChange() {
+    if (document.hidden) {
+      this.suspendForBackground();
+    } else {
+      this.resumeFromBackground();
+    }
+  }
+  
+  handleFreeze() {
+    this.suspendForBackground();
+  }
+  
+  handlePageResume() {
+    this.resumeFromBackground();
+  }
+  
+  // Pages restored from the back/forward cache get no visibility change
+  handlePageShow(event) {
+    if (event.persisted) {
+      this.resumeFromBackground();
+    }
+  }
+  
+  /**
+   * Suspend the context while nobody can interact with the page
+   */
+  suspendForBackground() {
+    if (!this.settings.suspendInBackground || this.context.state !== 'running') return;
+    
+    this.suspendedInBackground = true;
+    this.context.suspend().catch(error => console.error('Error suspending audio:', error));
+  }
+  
+  /**
+   * Resume a context suspended in the background
+   * If the browser wants a new gesture first, the context stays locked
+   */
+  async resumeFromBackground() {
+    if (!this.suspendedInBackground) return;
+    
+    this.suspendedInBackground = false;
+    
+    try {
+      await this.context.resume();
+    } catch (error) {
+      console.error('Error resuming audio:', error);
+    }
+    
+    this.handleStateChange();
+  }
+  
+  /**
+   * Try to resume an interrupted context, backing off between attempts
+   * (iOS interrupts audio for phone calls and alarms)
+   */
+  scheduleResume() {
+    clearTimeout(this.resumeTimer);
+    
+    if (this.resumeAttempts >= this.settings.maxResumeAttempts) return;
+    
+    const delay = this.settings.resumeRetryDelay * Math.pow(2, this.resumeAttempts);
+    this.resumeAttempts++;
+    
+    this.resumeTimer = setTimeout(() => {
+      if (document.hidden || this.context.state === 'running') return;
+      
+      this.context.resume()
+        .catch(error => console.error('Error resuming interrupted audio:', error))
+        .then(() => {
+          if (this.context.state !== 'running') {
+            this.scheduleResume();
+          }
+        });
+    }, delay);
+  }
+  
+  /**
+   * React to the context's state and announce it
+   */
+  handleStateChange() {
+    const context = this.context;
+    const state = context.state;
+    
+    switch (state) {
+      case 'running':
+        clearTimeout(this.resumeTimer);
+        this.resumeAttempts = 0;
+        break;
+      
+      case 'interrupted':
+        this.scheduleResume();
+        break;
+      
+      case 'closed':
+        // Closed contexts cannot be restarted; build the graph again on a new one
+        if (!this.rebuilding) {
+          this.rebuilding = true;
+          this.audioService.rebuildAudioGraph()
+            .catch(error => console.error('Error rebuilding audio graph:', error))
+            .then(() => {
+              this.rebuilding = false;
+            });
+        }
+        break;
+      
+      default:
+        break;
+    }
+    
+    this.announceState();
+  }
+  
+  /**
+   * Record that the browser refused to start a media element without a gesture
+   */
+  reportBlockedMedia() {
+    if (this.mediaBlocked) return;
+    
+    this.mediaBlocked = true;
+    this.announceState();
+  }
+  
+  /**
+   * Work out whether a gesture is needed and announce the state
+   */
+  announceState() {
+    const state = this.context.state;
+    
+    this.locked = this.mediaBlocked ||
+      (state !== 'running' && state !== 'closed' && !this.suspendedInBackground);
+    
+    window.dispatchEvent(new CustomEvent('audio-context-state', {
+      detail: {
+        state,
+        locked: this.locked,
+        background: this.suspendedInBackground
+      }
+    }));
+  }
+  
+  /**
+   * Get the state of the managed context
+   * @returns {Object} { state, locked, background }
+   */
+  getState() {
+    return {
+      state: this.context ? this.context.state : null,
+      locked: this.locked,
+      background: this.suspendedInBackground
+    };
+  }
+}
+
+export default AudioContextLifecycle;
@@ -2,9 +2,19 @@
  * Audio Utility Functions for EONTA
  * Contains helper functions for audio processing, effects, and conversions
  */
+import { LOUDNESS_TARGET, measureLoudness, getNormalizationGain } from '../../../shared/loudness.mjs';
+
+export { LOUDNESS_TARGET, measureLoudness, getNormalizationGain };
+
+// Worker measuring loudness off the main thread, started on first use
+const LOUDNESS_WORKER_URL = new URL('./workers/LoudnessWorker.js', import.meta.url);
+let loudnessWorker = null;
+let loudnessRequestId = 0;
+const loudnessRequests = new Map(); // request id => { resolve, reject }
 
 /**
  * Create a Web Audio API context
+ * Mobile browsers start it suspended until a user gesture (see AudioContextLifecycle)
  * @returns {AudioContext} Audio context
  */
 export function createAudioContext() {
@@ -20,6 +30,12 @@ export function createAudioContext() {
 export async function loadAudioFile(audioContext, url) {
   try {
     const response = await fetch(url);
+
+    // An error page would otherwise fail to decode as if the format were unsupported
+    if (!response.ok) {
+      throw new Error(`Error fetching ${url}: HTTP ${response.status}`);
+    }
+
     const arrayBuffer = await response.arrayBuffer();
     return await audioContext.decodeAudioData(arrayBuffer);
   } catch (error) {
@@ -198,6 +214,115 @@ export function exponentialFade(param, startValue, endValue, duration, audioCont
   param.exponentialRampToValueAtTime(safeEnd, now + duration);
 }
 
+/**
+ * Curve shapes for parameter ramps
+ */
+export const CURVE_SHAPES = {
+  LINEAR: 'linear',             // constant rate of change
+  EXPONENTIAL: 'exponential',   // constant ratio of change, natural for frequencies
+  EQUAL_POWER: 'equal_power',   // sine/cosine, keeps crossfades at constant loudness
+  LOGARITHMIC: 'logarithmic',   // fast start, slow finish
+  S_CURVE: 's_curve'            // slow start and finish
+};
+
+// Ramps in progress, used to find a parameter's value when a ramp is interrupted
+const activeRamps = new WeakMap();
+
+/**
+ * Get the value of a ramp between two values at a point in its progress
+ * @param {Number} from - Starting value
+ * @param {Number} to - Ending value
+ * @param {Number} progress - Ramp progress (0-1)
+ * @param {String} shape - Curve shape
+ * @returns {Number} Value at that point
+ */
+export function getCurveValue(from, to, progress, shape = CURVE_SHAPES.LINEAR) {
+  const p = Math.min(1, Math.max(0, progress));
+  
+  switch (shape) {
+    case CURVE_SHAPES.EXPONENTIAL: {
+      // Exponential curves only make sense for positive values
+      if (from < 0 || to < 0) return from + (to - from) * p;
+      
+      // Avoid zero values for exponential curves
+      const safeFrom = Math.max(0.0001, from);
+      const safeTo = Math.max(0.0001, to);
+      return safeFrom * Math.pow(safeTo / safeFrom, p);
+    }
+    case CURVE_SHAPES.EQUAL_POWER:
+      // Sine when rising, cosine when falling
+      return to >= from
+        ? from + (to - from) * Math.sin(p * Math.PI / 2)
+        : to + (from - to) * Math.cos(p * Math.PI / 2);
+    case CURVE_SHAPES.LOGARITHMIC:
+      return from + (to - from) * Math.log10(1 + 9 * p);
+    case CURVE_SHAPES.S_CURVE:
+      return from + (to - from) * (0.5 - 0.5 * Math.cos(Math.PI * p));
+    default:
+      return from + (to - from) * p;
+  }
+}
+
+/**
+ * Get the current value of a parameter, including any ramp in progress
+ * @param {AudioParam} param - Audio parameter
+ * @param {Number} time - Context time
+ * @returns {Number} Parameter value at that time
+ */
+export function getParameterValue(param, time) {
+  const ramp = activeRamps.get(param);
+  
+  if (ramp && time < ramp.startTime + ramp.duration) {
+    const progress = (time - ramp.startTime) / ramp.duration;
+    return getCurveValue(ramp.from, ramp.to, progress, ramp.shape);
+  }
+  
+  return param.value;
+}
+
+/**
+ * Ramp a parameter to a value along a curve
+ * Any ramp in progress is cancelled and the new ramp starts from its current value
+ * @param {AudioParam} param - Audio parameter to ramp
+ * @param {Number} value - Target value
+ * @param {Number} duration - Duration in seconds
+ * @param {BaseAudioContext} audioContext - Web Audio API context
+ * @param {String} shape - Curve shape (see CURVE_SHAPES)
+ * @param {Number} startTime - Context time to start the ramp at (defaults to now)
+ */
+export function rampParameter(param, value, duration, audioContext, shape = CURVE_SHAPES.LINEAR, startTime = 0) {
+  const now = Math.max(startTime, audioContext.currentTime);
+  const from = getParameterValue(param, now);
+  
+  param.cancelScheduledValues(now);
+  
+  if (duration <= 0) {
+    activeRamps.delete(param);
+    param.setValueAtTime(value, now);
+    return;
+  }
+  
+  activeRamps.set(param, { startTime: now, duration, from, to: value, shape });
+  
+  if (shape === CURVE_SHAPES.LINEAR) {
+    param.setValueAtTime(from, now);
+    param.linearRampToValueAtTime(value, now + duration);
+  } else if (shape === CURVE_SHAPES.EXPONENTIAL && from > 0 && value > 0) {
+    param.setValueAtTime(from, now);
+    param.exponentialRampToValueAtTime(value, now + duration);
+  } else {
+    // Other shapes are sampled into a value curve
+    const length = Math.min(1000, Math.max(2, Math.ceil(duration * 100)));
+    const curve = new Float32Array(length);
+    
+    for (let i = 0; i < length; i++) {
+      curve[i] = getCurveValue(from, value, i / (length - 1), shape);
+    }
+    
+    param.setValueCurveAtTime(curve, now, duration);
+  }
+}
+
 /**
  * Connect audio nodes in sequence
  * @param {...AudioNode} nodes - Audio nodes to connect in sequence
@@ -220,6 +345,131 @@ export function createStereoPanner(audioContext, pan = 0) {
   return panner;
 }
 
+/**
+ * Encode an AudioBuffer as a 16-bit PCM WAV file
+ * @param {AudioBuffer} audioBuffer - Buffer to encode
+ * @returns {ArrayBuffer} WAV file data
+ */
+export function audioBufferToWav(audioBuffer) {
+  const numChannels = audioBuffer.numberOfChannels;
+  const sampleRate = audioBuffer.sampleRate;
+  const bytesPerSample = 2;
+  const dataSize = audioBuffer.length * numChannels * bytesPerSample;
+  const buffer = new ArrayBuffer(44 + dataSize);
+  const view = new DataView(buffer);
+  
+  const writeString = (offset, string) => {
+    for (let i = 0; i < string.length; i++) {
+      view.setUint8(offset + i, string.charCodeAt(i));
+    }
+  };
+  
+  // RIFF header
+  writeString(0, 'RIFF');
+  view.setUint32(4, 36 + dataSize, true);
+  writeString(8, 'WAVE');
+  
+  // Format chunk
+  writeString(12, 'fmt ');
+  view.setUint32(16, 16, true);
+  view.setUint16(20, 1, true); // PCM
+  view.setUint16(22, numChannels, true);
+  view.setUint32(24, sampleRate, true);
+  view.setUint32(28, sampleRate * numChannels * bytesPerSample, true);
+  view.setUint16(32, numChannels * bytesPerSample, true);
+  view.setUint16(34, bytesPerSample * 8, true);
+  
+  // Data chunk with interleaved samples
+  writeString(36, 'data');
+  view.setUint32(40, dataSize, true);
+  
+  const channels = [];
+  for (let c = 0; c < numChannels; c++) {
+    channels.push(audioBuffer.getChannelData(c));
+  }
+  
+  let offset = 44;
+  for (let i = 0; i < audioBuffer.length; i++) {
+    for (let c = 0; c < numChannels; c++) {
+      const sample = Math.max(-1, Math.min(1, channels[c][i]));
+      view.setInt16(offset, sample < 0 ? sample * 0x8000 : sample * 0x7FFF, true);
+      offset += bytesPerSample;
+    }
+  }
+  
+  return buffer;
+}
+
+/**
+ * Measure the loudness of a decoded audio buffer in a worker
+ * The samples are copied and handed over to the worker, so the buffer stays playable
+ * @param {AudioBuffer} audioBuffer - Buffer to analyze
+ * @returns {Promise<Object>} { integratedLoudness, peak, duration }
+ */
+export function analyzeLoudness(audioBuffer) {
+  const channelData = [];
+  
+  for (let c = 0; c < audioBuffer.numberOfChannels; c++) {
+    const samples = new Float32Array(audioBuffer.length);
+    audioBuffer.copyFromChannel(samples, c);
+    channelData.push(samples);
+  }
+  
+  return new Promise((resolve, reject) => {
+    const id = ++loudnessRequestId;
+    loudnessRequests.set(id, { resolve, reject });
+    
+    getLoudnessWorker().postMessage(
+      { id, channelData, sampleRate: audioBuffer.sampleRate },
+      channelData.map(samples => samples.buffer)
+    );
+  }).then(loudness => ({ ...loudness, duration: audioBuffer.duration }));
+}
+
+/**
+ * Decode and analyze an audio file picked for upload, so its loudness
+ * can be stored with the region
+ * @param {File|Blob} file - Audio file
+ * @returns {Promise<Object>} { integratedLoudness, peak, duration }
+ */
+export async function analyzeAudioFile(file) {
+  // An offline context decodes without opening an audio output
+  const decodeContext = new OfflineAudioContext(1, 1, 44100);
+  const audioBuffer = await decodeContext.decodeAudioData(await file.arrayBuffer());
+  
+  return analyzeLoudness(audioBuffer);
+}
+
+function getLoudnessWorker() {
+  if (loudnessWorker) return loudnessWorker;
+  
+  loudnessWorker = new Worker(LOUDNESS_WORKER_URL, { type: 'module' });
+  
+  loudnessWorker.onmessage = (event) => {
+    const { id, loudness, error } = event.data;
+    const request = loudnessRequests.get(id);
+    if (!request) return;
+    
+    loudnessRequests.delete(id);
+    
+    if (error) {
+      request.reject(new Error(error));
+    } else {
+      request.resolve(loudness);
+    }
+  };
+  
+  // A broken worker fails every pending request and is started afresh next time
+  loudnessWorker.onerror = (event) => {
+    loudnessRequests.forEach(request => request.reject(new Error(event.message || 'Loudness worker failed')));
+    loudnessRequests.clear();
+    loudnessWorker.terminate();
+    loudnessWorker = null;
+  };
+  
+  return loudnessWorker;
+}
+
 /**
  * Convert seconds to time format (MM:SS)
  * @param {Number} seconds - Time in seconds
@@ -242,7 +492,17 @@ export default {
   createReverb,
   linearFade,
   exponentialFade,
+  CURVE_SHAPES,
+  getCurveValue,
+  getParameterValue,
+  rampParameter,
   connectNodes,
   createStereoPanner,
+  audioBufferToWav,
+  LOUDNESS_TARGET,
+  measureLoudness,
+  analyzeLoudness,
+  analyzeAudioFile,
+  getNormalizationGain,
   formatTime
 };
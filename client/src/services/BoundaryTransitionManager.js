@@ -1,3 +1,5 @@
+import { calculatePolygonCenter } from './MapUtils';
+
 /**
  * Boundary Transition Manager
  * Handles advanced transition settings for audio boundaries
@@ -7,6 +9,10 @@ class BoundaryTransitionManager {
   constructor(audioService) {
     this.audioService = audioService;
     
+    // Exclusive groups: group name => { activeId, occupants: [{ regionId, audioData, transitionSettings }],
+    // nearby: Map of regionId => { audioData, transitionSettings, distance } of members being approached }
+    this.exclusiveGroups = new Map();
+    
     // Available transition types
     this.transitionTypes = {
       VOLUME_FADE: 'volume_fade',           // Simple volume fade in/out
@@ -26,9 +32,22 @@ class BoundaryTransitionManager {
       fadeOutLength: 2.0,        // seconds
       fadeInType: this.transitionTypes.VOLUME_FADE,
       fadeOutType: this.transitionTypes.VOLUME_FADE,
+      fadeInCurve: 'linear',     // linear, exponential, equal_power, logarithmic or s_curve
+      fadeOutCurve: 'linear',
+      quantization: 'none',      // snap entries and loop restarts to the next beat, bar or phrase
+      playbackMode: 'loop',      // loop, one_shot, once_per_visit, resume or free_running
       transitionRadius: 10,      // meters
       blendingEnabled: true,
       crossfadeOverlap: true,    // enable overlapping transitions between regions
+      exclusiveGroup: null,      // name of a group where only one region is audible at a time
+      priority: 0,               // higher priority regions duck lower priority ones
+      ducking: {
+        enabled: false,
+        amount: 9,               // dB of attenuation applied to lower priority regions
+        attack: 0.3,             // seconds
+        release: 1.0             // seconds
+      },
+      modulations: [],           // movement-to-parameter mappings (see ModulationMatrix)
       advancedSettings: {
         // Filter settings
         lowpassFrequency: {
@@ -93,30 +112,79 @@ class BoundaryTransitionManager {
       };
     }
     
+    if (settings.ducking) {
+      transitionSettings.ducking = {
+        ...this.defaultSettings.ducking,
+        ...settings.ducking
+      };
+    }
+    
     return transitionSettings;
   }
   
   /**
    * Apply transition when entering a boundary
    * @param {String} regionId - ID of the region being entered
-   * @param {Object} audioData - Audio data including URL
+   * @param {Object} audioData - Audio data including URL (or sources: [{ url, type }], or synth: { type, parameters },
+   *   or scrub: { path, position } with the URL) and region polygon or center
    * @param {Object} transitionSettings - Transition settings for the region
    * @param {Number} distanceToEdge - Distance to the boundary edge in meters
    */
   applyEntryTransition(regionId, audioData, transitionSettings, distanceToEdge = 0) {
-    const { fadeInLength, fadeInType, transitionRadius, advancedSettings } = transitionSettings;
+    const {
+      fadeInLength,
+      fadeInCurve,
+      fadeInType,
+      quantization,
+      playbackMode,
+      transitionRadius,
+      priority,
+      ducking,
+      advancedSettings
+    } = transitionSettings;
+    
+    // Approaching a member of an exclusive group while another member is audible
+    // waits until the listener is inside it (see enterExclusiveGroup)
+    const group = this.getExclusiveGroup(transitionSettings);
+    
+    if (group && group.activeId !== regionId) {
+      group.nearby.set(regionId, { audioData, transitionSettings, distance: distanceToEdge });
+      
+      if (group.activeId) return;
+    }
     
     // Calculate transition progress based on distance (0 = edge of region, 1 = fully inside)
     const progress = Math.min(1, Math.max(0, (transitionRadius - distanceToEdge) / transitionRadius));
     
+    // A file, its encodings, or a synthesized or scrubbing source
+    const audioSource = this.getAudioSource(audioData);
+    
+    // Every region sounds from its place on the map; outside spatial blends
+    // the level is left to the transition, so distance does not attenuate it
+    const regionCenter = this.getRegionCenter(audioData);
+    const placement = regionCenter
+      ? { spatialAudio: true, sourcePosition: regionCenter, rolloffFactor: 0 }
+      : {};
+    
+    // Playback options shared by every transition type
+    const playbackOptions = {
+      fadeIn: fadeInLength,
+      fadeInCurve,
+      volume: progress, // Start at current progress level
+      mode: playbackMode,
+      quantize: quantization,
+      loudness: audioData.loudness, // stored analysis, if the region has one
+      priority,
+      ducking
+    };
+    
     // Set up audio node with appropriate transition type
     switch (fadeInType) {
       case this.transitionTypes.VOLUME_FADE:
         // Simple volume fade
-        this.audioService.playAudio(regionId, audioData.url, {
-          fadeIn: fadeInLength,
-          volume: progress, // Start at current progress level
-          loop: true
+        this.audioService.playAudio(regionId, audioSource, {
+          ...playbackOptions,
+          effects: placement
         });
         break;
         
@@ -126,13 +194,12 @@ class BoundaryTransitionManager {
         const endFreq = advancedSettings.lowpassFrequency.start;
         const currentFreq = startFreq + progress * (endFreq - startFreq);
         
-        this.audioService.playAudio(regionId, audioData.url, {
-          fadeIn: fadeInLength,
-          volume: progress,
-          loop: true,
+        this.audioService.playAudio(regionId, audioSource, {
+          ...playbackOptions,
           effects: {
             lowpass: true,
-            lowpassFrequency: currentFreq
+            lowpassFrequency: currentFreq,
+            ...placement
           }
         });
         break;
@@ -143,13 +210,12 @@ class BoundaryTransitionManager {
         const hpEndFreq = advancedSettings.highpassFrequency.start;
         const hpCurrentFreq = hpStartFreq + progress * (hpEndFreq - hpStartFreq);
         
-        this.audioService.playAudio(regionId, audioData.url, {
-          fadeIn: fadeInLength,
-          volume: progress,
-          loop: true,
+        this.audioService.playAudio(regionId, audioSource, {
+          ...playbackOptions,
           effects: {
             highpass: true,
-            highpassFrequency: hpCurrentFreq
+            highpassFrequency: hpCurrentFreq,
+            ...placement
           }
         });
         break;
@@ -160,14 +226,13 @@ class BoundaryTransitionManager {
         const reverbEnd = advancedSettings.reverbMix.start;
         const currentReverb = reverbStart + progress * (reverbEnd - reverbStart);
         
-        this.audioService.playAudio(regionId, audioData.url, {
-          fadeIn: fadeInLength,
-          volume: progress,
-          loop: true,
+        this.audioService.playAudio(regionId, audioSource, {
+          ...playbackOptions,
           effects: {
             reverb: true,
             reverbMix: currentReverb,
-            reverbDecay: advancedSettings.reverbDecay.start
+            reverbDecay: advancedSettings.reverbDecay.start,
+            ...placement
           }
         });
         break;
@@ -178,13 +243,12 @@ class BoundaryTransitionManager {
         const pitchEnd = advancedSettings.pitchShift.start;
         const currentPitch = pitchStart + progress * (pitchEnd - pitchStart);
         
-        this.audioService.playAudio(regionId, audioData.url, {
-          fadeIn: fadeInLength,
-          volume: progress,
-          loop: true,
+        this.audioService.playAudio(regionId, audioSource, {
+          ...playbackOptions,
           effects: {
             pitchShift: true,
-            pitchAmount: currentPitch
+            pitchAmount: currentPitch,
+            ...placement
           }
         });
         break;
@@ -195,14 +259,13 @@ class BoundaryTransitionManager {
         const delayEnd = advancedSettings.delayFeedback.start;
         const currentDelay = delayStart + progress * (delayEnd - delayStart);
         
-        this.audioService.playAudio(regionId, audioData.url, {
-          fadeIn: fadeInLength,
-          volume: progress,
-          loop: true,
+        this.audioService.playAudio(regionId, audioSource, {
+          ...playbackOptions,
           effects: {
             delay: true,
             delayFeedback: currentDelay,
-            delayTime: advancedSettings.delayTime.start
+            delayTime: advancedSettings.delayTime.start,
+            ...placement
           }
         });
         break;
@@ -211,27 +274,26 @@ class BoundaryTransitionManager {
         // Doppler effect simulates moving toward sound source
         const dopplerShift = progress < 0.5 ? 1 + (0.5 - progress) * 0.1 : 1;
         
-        this.audioService.playAudio(regionId, audioData.url, {
-          fadeIn: fadeInLength,
-          volume: progress,
-          loop: true,
+        this.audioService.playAudio(regionId, audioSource, {
+          ...playbackOptions,
           effects: {
             pitchShift: true,
-            pitchAmount: dopplerShift - 1
+            pitchAmount: 12 * Math.log2(dopplerShift), // ratio to semitones
+            ...placement
           }
         });
         break;
         
       case this.transitionTypes.SPATIAL_BLEND:
-        // 3D audio panning
+        // 3D audio positioned at the region's center,
+        // panning is only used when the region has no known location
         const pan = Math.cos(progress * Math.PI) * 0.8; // -0.8 to 0.8
         
-        this.audioService.playAudio(regionId, audioData.url, {
-          fadeIn: fadeInLength,
-          volume: progress,
-          loop: true,
+        this.audioService.playAudio(regionId, audioSource, {
+          ...playbackOptions,
           effects: {
             spatialAudio: true,
+            sourcePosition: regionCenter,
             pan: pan
           }
         });
@@ -239,14 +301,40 @@ class BoundaryTransitionManager {
         
       default:
         // Default to simple volume fade
-        this.audioService.playAudio(regionId, audioData.url, {
-          fadeIn: fadeInLength,
-          volume: progress,
-          loop: true
+        this.audioService.playAudio(regionId, audioSource, {
+          ...playbackOptions,
+          effects: placement
         });
     }
   }
   
+  /**
+   * Get the map position a region's audio comes from
+   * @param {Object} audioData - Audio data with the region's center or polygon
+   * @returns {Object|null} { lat, lng }, or null if the region has no known location
+   */
+  getRegionCenter(audioData) {
+    if (audioData.center) return audioData.center;
+    
+    return audioData.polygon ? calculatePolygonCenter(audioData.polygon) : null;
+  }
+  
+  /**
+   * Get the source a region plays
+   * Scrubbing regions play their file as a granular cloud, positioned by the
+   * listener along the region's path (see RegionPresenceTracker)
+   * @param {Object} audioData - Audio data of the region
+   * @returns {String|Array|Object} URL, encodings or synthesized source
+   */
+  getAudioSource(audioData) {
+    if (audioData.scrub) {
+      const { path, ...grainSettings } = audioData.scrub;
+      return this.audioService.getScrubSource(audioData.url, grainSettings);
+    }
+    
+    return audioData.synth || audioData.sources || audioData.url;
+  }
+  
   /**
    * Apply transition when exiting a boundary
    * @param {String} regionId - ID of the region being exited
@@ -254,16 +342,37 @@ class BoundaryTransitionManager {
    * @param {Number} distanceToEdge - Distance to the boundary edge in meters
    */
   applyExitTransition(regionId, transitionSettings, distanceToEdge = 0) {
-    const { fadeOutLength, fadeOutType, transitionRadius, advancedSettings } = transitionSettings;
+    // A silenced member of an exclusive group has already faded out
+    if (!this.isSilencedByGroup(regionId, transitionSettings)) {
+      this.runExitTransition(regionId, transitionSettings, distanceToEdge);
+    }
+    
+    // Let the previous member of an exclusive group be heard again
+    this.leaveExclusiveGroup(regionId, transitionSettings);
+  }
+  
+  /**
+   * Apply a region's exit transition
+   * @param {String} regionId - ID of the region being exited
+   * @param {Object} transitionSettings - Transition settings for the region
+   * @param {Number} distanceToEdge - Distance to the boundary edge in meters
+   * @param {Number} rampTime - Time in seconds over which distance-based effects move
+   *   to their new values (defaults to an immediate change)
+   */
+  runExitTransition(regionId, transitionSettings, distanceToEdge = 0, rampTime = undefined) {
+    const { fadeOutLength, fadeOutCurve, fadeOutType, transitionRadius, advancedSettings } = transitionSettings;
     
     // Calculate transition progress based on distance (1 = edge of region, 0 = beyond transition radius)
     const progress = Math.min(1, Math.max(0, 1 - (distanceToEdge / transitionRadius)));
     
+    // A timed exit must not be cut short by the final stop
+    const minStopTime = rampTime || 0;
+    
     // Set up exit transition based on type
     switch (fadeOutType) {
       case this.transitionTypes.VOLUME_FADE:
         // Simple volume fade
-        this.audioService.fadeOutAudio(regionId, fadeOutLength);
+        this.audioService.fadeOutAudio(regionId, fadeOutLength, fadeOutCurve);
         break;
         
       case this.transitionTypes.LOWPASS_FILTER:
@@ -274,13 +383,14 @@ class BoundaryTransitionManager {
         
         this.audioService.applyEffect(regionId, 'lowpass', {
           frequency: currentFreq,
-          Q: 1.0
+          Q: 1.0,
+          rampTime
         });
         
-        this.audioService.setVolume(regionId, progress);
+        this.audioService.setVolume(regionId, progress, rampTime);
         
         if (progress <= 0.05) {
-          this.audioService.stopAudio(regionId, 0.5);
+          this.audioService.stopAudio(regionId, Math.max(0.5, minStopTime));
         }
         break;
         
@@ -292,13 +402,14 @@ class BoundaryTransitionManager {
         
         this.audioService.applyEffect(regionId, 'highpass', {
           frequency: hpCurrentFreq,
-          Q: 1.0
+          Q: 1.0,
+          rampTime
         });
         
-        this.audioService.setVolume(regionId, progress);
+        this.audioService.setVolume(regionId, progress, rampTime);
         
         if (progress <= 0.05) {
-          this.audioService.stopAudio(regionId, 0.5);
+          this.audioService.stopAudio(regionId, Math.max(0.5, minStopTime));
         }
         break;
         
@@ -314,14 +425,15 @@ class BoundaryTransitionManager {
         
         this.audioService.applyEffect(regionId, 'reverb', {
           mix: currentReverb,
-          decay: currentDecay
+          decay: currentDecay,
+          rampTime
         });
         
-        this.audioService.setVolume(regionId, progress);
+        this.audioService.setVolume(regionId, progress, rampTime);
         
         if (progress <= 0.05) {
           // For reverb, use longer fade out to let tail decay naturally
-          this.audioService.stopAudio(regionId, fadeOutLength * 1.5);
+          this.audioService.stopAudio(regionId, Math.max(fadeOutLength * 1.5, minStopTime), fadeOutCurve);
         }
         break;
         
@@ -332,13 +444,14 @@ class BoundaryTransitionManager {
         const currentPitch = pitchStart + (1 - progress) * (pitchEnd - pitchStart);
         
         this.audioService.applyEffect(regionId, 'pitchShift', {
-          amount: currentPitch
+          amount: currentPitch,
+          rampTime
         });
         
-        this.audioService.setVolume(regionId, progress);
+        this.audioService.setVolume(regionId, progress, rampTime);
         
         if (progress <= 0.05) {
-          this.audioService.stopAudio(regionId, fadeOutLength);
+          this.audioService.stopAudio(regionId, Math.max(fadeOutLength, minStopTime), fadeOutCurve);
         }
         break;
         
@@ -354,14 +467,15 @@ class BoundaryTransitionManager {
         
         this.audioService.applyEffect(regionId, 'delay', {
           feedback: currentDelay,
-          time: currentTime
+          time: currentTime,
+          rampTime
         });
         
-        this.audioService.setVolume(regionId, progress);
+        this.audioService.setVolume(regionId, progress, rampTime);
         
         if (progress <= 0.05) {
           // For delay, use longer fade out to let echoes decay naturally
-          this.audioService.stopAudio(regionId, fadeOutLength * 2);
+          this.audioService.stopAudio(regionId, Math.max(fadeOutLength * 2, minStopTime), fadeOutCurve);
         }
         break;
         
@@ -370,13 +484,14 @@ class BoundaryTransitionManager {
         const dopplerShift = progress > 0.5 ? 1 - (progress - 0.5) * 0.1 : 1;
         
         this.audioService.applyEffect(regionId, 'pitchShift', {
-          amount: dopplerShift - 1
+          amount: 12 * Math.log2(dopplerShift), // ratio to semitones
+          rampTime
         });
         
-        this.audioService.setVolume(regionId, progress);
+        this.audioService.setVolume(regionId, progress, rampTime);
         
         if (progress <= 0.05) {
-          this.audioService.stopAudio(regionId, fadeOutLength);
+          this.audioService.stopAudio(regionId, Math.max(fadeOutLength, minStopTime), fadeOutCurve);
         }
         break;
         
@@ -385,20 +500,239 @@ class BoundaryTransitionManager {
         const pan = Math.cos(progress * Math.PI) * 0.8; // Changes from 0 to 0.8 as exiting
         
         this.audioService.applyEffect(regionId, 'spatialAudio', {
-          pan: pan
+          pan: pan,
+          rampTime
         });
         
-        this.audioService.setVolume(regionId, progress);
+        this.audioService.setVolume(regionId, progress, rampTime);
         
         if (progress <= 0.05) {
-          this.audioService.stopAudio(regionId, fadeOutLength);
+          this.audioService.stopAudio(regionId, Math.max(fadeOutLength, minStopTime), fadeOutCurve);
         }
         break;
         
       default:
         // Default to simple volume fade
-        this.audioService.fadeOutAudio(regionId, fadeOutLength);
+        this.audioService.fadeOutAudio(regionId, fadeOutLength, fadeOutCurve);
+    }
+  }
+  
+  /**
+   * Update a region's volume as the listener moves through the entry zone
+   * @param {String} regionId - ID of the region being entered
+   * @param {Object} transitionSettings - Transition settings for the region
+   * @param {Number} distanceToEdge - Distance to the boundary edge in meters
+   */
+  updateEntryTransition(regionId, transitionSettings, distanceToEdge = 0) {
+    const group = this.getExclusiveGroup(transitionSettings);
+    const nearby = group && group.nearby.get(regionId);
+    
+    if (nearby) {
+      nearby.distance = distanceToEdge;
     }
+    
+    if (this.isSilencedByGroup(regionId, transitionSettings)) return;
+    
+    const { fadeInLength, fadeInCurve, transitionRadius } = transitionSettings;
+    const progress = Math.min(1, Math.max(0, (transitionRadius - distanceToEdge) / transitionRadius));
+    
+    this.audioService.setVolume(regionId, progress, fadeInLength, fadeInCurve);
+  }
+  
+  /**
+   * Undo an exit transition in progress when the listener turns back into the region
+   * @param {String} regionId - ID of the region being re-entered
+   * @param {Object} audioData - Audio data including URL and region polygon or center
+   * @param {Object} transitionSettings - Transition settings for the region
+   */
+  restoreEntryTransition(regionId, audioData, transitionSettings) {
+    // Turning back into an exclusive region makes it the audible member again
+    this.enterExclusiveGroup(regionId, audioData, transitionSettings);
+    
+    this.audioService.cancelStop(regionId);
+    
+    if (this.isProgressiveExit(transitionSettings)) {
+      // Exit effects at zero distance are back at their starting values
+      this.runExitTransition(regionId, transitionSettings, 0);
+    } else {
+      this.audioService.setVolume(
+        regionId,
+        1,
+        transitionSettings.fadeInLength,
+        transitionSettings.fadeInCurve
+      );
+    }
+  }
+  
+  /**
+   * Crossfade a playing region to another variant of its audio, e.g. when
+   * night falls while the listener is inside (see RegionScheduler)
+   * Sources that play through once keep playing and switch on the next visit
+   * @param {String} regionId - ID of the region
+   * @param {Object} audioData - Audio data of the new variant
+   * @param {Object} transitionSettings - Transition settings for the region
+   * @returns {Promise<Boolean>} Whether the variant started
+   */
+  async switchAudioVariant(regionId, audioData, transitionSettings) {
+    if (!this.audioService.isPlaying(regionId) || !this.audioService.isLoopingMode(transitionSettings.playbackMode)) {
+      return false;
+    }
+    
+    return this.audioService.replaceAudio(
+      regionId,
+      this.getAudioSource(audioData),
+      { loudness: audioData.loudness },
+      transitionSettings.fadeInLength
+    );
+  }
+  
+  /**
+   * Get the parameters a transition type drives, as automateParameter targets
+   * While the listener crosses the transition radius these belong to the
+   * transition, and the region's movement mappings leave them alone
+   * @param {String} transitionType - Entry or exit transition type
+   * @returns {Array} Targets, the volume ('gain') included
+   */
+  getTransitionTargets(transitionType) {
+    const targets = {
+      [this.transitionTypes.LOWPASS_FILTER]: ['lowpass.frequency', 'lowpass.Q'],
+      [this.transitionTypes.HIGHPASS_FILTER]: ['highpass.frequency', 'highpass.Q'],
+      [this.transitionTypes.REVERB_TAIL]: ['reverb.mix'],
+      [this.transitionTypes.PITCH_SHIFT]: ['pitchShift.semitones'],
+      [this.transitionTypes.DELAY_FEEDBACK]: ['delay.feedback', 'delay.time'],
+      [this.transitionTypes.DOPPLER]: ['pitchShift.semitones'],
+      [this.transitionTypes.SPATIAL_BLEND]: ['spatialAudio.pan']
+    };
+    
+    return ['gain', ...(targets[transitionType] || [])];
+  }
+  
+  /**
+   * Check whether an exit transition follows the listener's distance
+   * (and should be re-applied on every position update) or is a single timed fade
+   * @param {Object} transitionSettings - Transition settings for the region
+   * @returns {Boolean} True if the exit transition is distance-based
+   */
+  isProgressiveExit(transitionSettings) {
+    return [
+      this.transitionTypes.LOWPASS_FILTER,
+      this.transitionTypes.HIGHPASS_FILTER,
+      this.transitionTypes.REVERB_TAIL,
+      this.transitionTypes.PITCH_SHIFT,
+      this.transitionTypes.DELAY_FEEDBACK,
+      this.transitionTypes.DOPPLER,
+      this.transitionTypes.SPATIAL_BLEND
+    ].includes(transitionSettings.fadeOutType);
+  }
+  
+  /**
+   * End the listener's visit to a region once they are beyond its transition radius
+   * @param {String} regionId - ID of the region that was left
+   */
+  endVisit(regionId) {
+    this.audioService.endVisit(regionId);
+  }
+  
+  /**
+   * Register the listener being inside a member of its exclusive group and fade
+   * out the member that was audible, using that member's own exit transition
+   * Members are only entered from inside their polygon, so walking near
+   * another room does not silence the one the listener is standing in
+   * @param {String} regionId - ID of the region being entered
+   * @param {Object} audioData - Audio data of the region
+   * @param {Object} transitionSettings - Transition settings for the region
+   */
+  enterExclusiveGroup(regionId, audioData, transitionSettings) {
+    const group = this.getExclusiveGroup(transitionSettings);
+    if (!group) return;
+    
+    const previous = group.occupants.find(occupant => occupant.regionId === group.activeId);
+    
+    // Most recently entered occupant last
+    group.occupants = group.occupants.filter(occupant => occupant.regionId !== regionId);
+    group.occupants.push({ regionId, audioData, transitionSettings });
+    group.nearby.delete(regionId);
+    group.activeId = regionId;
+    
+    const silenced = Array.from(group.nearby.entries())
+      .filter(([nearbyId]) => this.audioService.isPlaying(nearbyId))
+      .map(([nearbyId, nearby]) => ({ regionId: nearbyId, transitionSettings: nearby.transitionSettings }));
+    
+    if (previous && previous.regionId !== regionId) {
+      silenced.push(previous);
+    }
+    
+    // Play the whole exit of the previous member, and of members heard while
+    // approaching them, over their fade out length
+    silenced.forEach(({ regionId: silencedId, transitionSettings: silencedSettings }) => {
+      this.runExitTransition(
+        silencedId,
+        silencedSettings,
+        silencedSettings.transitionRadius,
+        silencedSettings.fadeOutLength
+      );
+    });
+  }
+  
+  /**
+   * Remove a region from its exclusive group, bringing back the most recently
+   * entered member the listener is still inside of, or else the members they
+   * are approaching, at their current distance
+   * @param {String} regionId - ID of the region being exited
+   * @param {Object} transitionSettings - Transition settings for the region
+   */
+  leaveExclusiveGroup(regionId, transitionSettings) {
+    const group = this.exclusiveGroups.get(transitionSettings.exclusiveGroup);
+    if (!group) return;
+    
+    const wasActive = group.activeId === regionId;
+    
+    group.occupants = group.occupants.filter(occupant => occupant.regionId !== regionId);
+    group.nearby.delete(regionId);
+    
+    if (!wasActive) return;
+    
+    group.activeId = null;
+    
+    const resumed = group.occupants[group.occupants.length - 1];
+    
+    if (resumed) {
+      group.activeId = resumed.regionId;
+      this.applyEntryTransition(resumed.regionId, resumed.audioData, resumed.transitionSettings, 0);
+      return;
+    }
+    
+    Array.from(group.nearby.entries()).forEach(([nearbyId, nearby]) => {
+      this.applyEntryTransition(nearbyId, nearby.audioData, nearby.transitionSettings, nearby.distance);
+    });
+  }
+  
+  /**
+   * Check whether another member of the region's exclusive group is audible
+   * @param {String} regionId - Region ID
+   * @param {Object} transitionSettings - Transition settings for the region
+   * @returns {Boolean} True if the region must stay silent
+   */
+  isSilencedByGroup(regionId, transitionSettings) {
+    const group = this.exclusiveGroups.get(transitionSettings.exclusiveGroup);
+    
+    return Boolean(group && group.activeId && group.activeId !== regionId);
+  }
+  
+  /**
+   * Get the exclusive group of a region, creating it on first use
+   * @param {Object} transitionSettings - Transition settings for the region
+   * @returns {Object|null} The group, or null if the region is not in one
+   */
+  getExclusiveGroup(transitionSettings) {
+    const groupName = transitionSettings.exclusiveGroup;
+    if (!groupName) return null;
+    
+    if (!this.exclusiveGroups.has(groupName)) {
+      this.exclusiveGroups.set(groupName, { activeId: null, occupants: [], nearby: new Map() });
+    }
+    
+    return this.exclusiveGroups.get(groupName);
   }
   
   /**
@@ -420,6 +754,19 @@ class BoundaryTransitionManager {
           continue;
         }
         
+        // Silenced members of an exclusive group must stay silent
+        if (
+          this.isSilencedByGroup(region1.id, region1.settings) ||
+          this.isSilencedByGroup(region2.id, region2.settings)
+        ) {
+          continue;
+        }
+        
+        // Regions on different priority levels are balanced by ducking instead
+        if ((region1.settings.priority || 0) !== (region2.settings.priority || 0)) {
+          continue;
+        }
+        
         // Calculate distances to both region centers
         const distance1 = this.calculateDistance(position, region1.center);
         const distance2 = this.calculateDistance(position, region2.center);
@@ -0,0 +1,153 @@
+/**
+ * Clock Sync Service
+ * Estimates the offset between this device's clock and the EONTA server's
+ * clock with NTP-style round trips over HTTP, so listeners walking the same
+ * installation share one clock and hear free-running regions in sync
+ */
+class ClockSyncService {
+  /**
+   * @param {EnhancedAudioService} audioService - Audio service to drive with the shared clock
+   * @param {Object} options - Sync options
+   * @param {String} options.endpoint - Clock sync URL
+   */
+  constructor(audioService, options = {}) {
+    this.audioService = audioService;
+    this.endpoint = options.endpoint || '/api/clock/sync';
+    this.offset = 0;       // ms to add to the local clock to get server time
+    this.roundTrip = null; // ms, of the sample the offset was taken from
+    this.lastSync = null;
+    this.syncTimer = null;
+    
+    // Settings
+    this.settings = {
+      samples: 8,           // round trips per sync
+      sampleInterval: 100,  // ms between round trips
+      resyncInterval: 60000 // ms between syncs while running
+    };
+    
+    // Bind methods
+    this.sync = this.sync.bind(this);
+  }
+  
+  /**
+   * Sync now and keep resyncing to follow clock drift
+   * @returns {Promise<Boolean>} Whether the first sync succeeded
+   */
+  async start() {
+    this.stop();
+    
+    const synced = await this.sync();
+    this.syncTimer = setInterval(this.sync, this.settings.resyncInterval);
+    
+    return synced;
+  }
+  
+  /**
+   * Stop resyncing; the last offset stays in use
+   */
+  stop() {
+    if (this.syncTimer) {
+      clearInterval(this.syncTimer);
+      this.syncTimer = null;
+    }
+  }
+  
+  /**
+   * Estimate the clock offset from a burst of round trips
+   * The sample with the shortest round trip is the least distorted by network delay
+   * @returns {Promise<Boolean>} Whether the offset was updated
+   */
+  async sync() {
+    const samples = [];
+    
+    for (let i = 0; i < this.settings.samples; i++) {
+      try {
+        samples.push(await this.measure());
+      } catch (error) {
+        console.error('Error measuring clock offset:', error);
+      }
+      
+      if (i < this.settings.samples - 1) {
+        await new Promise(resolve => setTimeout(resolve, this.settings.sampleInterval));
+      }
+    }
+    
+    if (samples.length === 0) {
+      window.dispatchEvent(new CustomEvent('clock-sync-error', {
+        detail: {
+          error: 'Could not reach the server to synchronize playback.'
+        }
+      }));
+      return false;
+    }
+    
+    const best = samples.reduce((a, b) => (b.roundTrip < a.roundTrip ? b : a));
+    
+    this.offset = best.offset;
+    this.roundTrip = best.roundTrip;
+    this.lastSync = Date.now();
+    
+    // Only hand the clock over once it has been synced
+    this.audioService.setSharedClock(this);
+    
+    window.dispatchEvent(new CustomEvent('clock-synced', {
+      detail: {
+        offset: this.offset,
+        roundTrip: this.roundTrip
+      }
+    }));
+    
+    return true;
+  }
+  
+  /**
+   * Measure one round trip
+   *   t0: request sent (local)   t1: request received (server)
+   *   t2: response sent (server) t3: response received (local)
+   * @returns {Promise<Object>} { offset, roundTrip } in ms
+   */
+  async measure() {
+    const t0 = this.localNow();
+    
+    const response = await fetch(`${this.endpoint}?t=${t0}`, { cache: 'no-store' });
+    
+    if (!response.ok) {
+      throw new Error(`Clock sync failed with status ${response.status}`);
+    }
+    
+    const { receivedAt: t1, sentAt: t2 } = await response.json();
+    const t3 = this.localNow();
+    
+    return {
+      offset: ((t1 - t0) + (t2 - t3)) / 2,
+      roundTrip: (t3 - t0) - (t2 - t1)
+    };
+  }
+  
+  /**
+   * Local clock in ms since the Unix epoch, immune to wall clock adjustments
+   * made while the page is open
+   * @returns {Number} Local time in ms
+   */
+  localNow() {
+    return performance.timeOrigin + performance.now();
+  }
+  
+  /**
+   * Shared clock time
+   * @returns {Number} Server time in ms since the Unix epoch
+   */
+  now() {
+    return this.localNow() + this.offset;
+  }
+  
+  /**
+   * Check whether the clock has been synced
+   * @returns {Boolean} True after a successful sync
+   */
+  isSynced() {
+    return this.lastSync !== null;
+  }
+}
+
+export default ClockSyncService;
@@ -1,21 +1,193 @@
 import { 
   createAudioContext, 
-  loadAudioFile, 
-  generateReverbImpulse 
+  generateReverbImpulse,
+  audioBufferToWav,
+  rampParameter,
+  getParameterValue,
+  analyzeLoudness,
+  getNormalizationGain,
+  CURVE_SHAPES
 } from './AudioUtils';
+import AudioBufferCache from './AudioBufferCache';
+import AudioContextLifecycle from './AudioContextLifecycle';
+import { toLocalCoordinates } from './MapUtils';
+
+// AudioWorklet module for the pitch shifter (bundled as a separate asset)
+const PITCH_SHIFTER_MODULE_URL = new URL('./worklets/PitchShifterProcessor.js', import.meta.url);
+
+// Crossfade time in seconds when effects are inserted, removed or reordered on a playing source
+const EFFECT_CROSSFADE_TIME = 0.03;
+
+// Default ramp time in seconds for parameter changes, short enough to feel immediate
+const DEFAULT_RAMP_TIME = 0.05;
+
+// Time in seconds over which a source moves to its makeup gain once its first analysis arrives
+const LOUDNESS_TRIM_RAMP_TIME = 1.0;
+
+// Files larger or longer than this are streamed through a media element instead of
+// being decoded into memory, which crashes phones for 20-40 minute soundscapes
+const STREAMING_MAX_BYTES = 20 * 1024 * 1024; // 20 MB
+const STREAMING_MAX_DURATION = 600; // seconds
+
+// iOS only lets a media element play outside a user gesture once it has played inside one,
+// so this many elements are started on a short silent file whenever the listener taps
+const MEDIA_ELEMENT_POOL_SIZE = 4;
+const SILENT_AUDIO_URI = 'data:audio/wav;base64,UklGRjQAAABXQVZFZm10IBAAAAABAAEAQB8AAIA+AAACABAAZGF0YRAAAAAAAAAAAAAAAAAAAAAAAAAA';
+
+// Grains of granular clouds are scheduled this far ahead, on a timer of this interval (seconds)
+const GRAIN_LOOKAHEAD = 0.1;
+const GRAIN_SCHEDULE_INTERVAL = 0.025;
+
+// Granular settings for scrubbing: short, dense grains close to the playhead, which
+// glides to each new position so playback runs on smoothly between position fixes
+const SCRUB_GRAIN_SETTINGS = {
+  grainSize: 0.12,
+  density: 24,
+  spray: 0.02,
+  stereoSpread: 0.1,
+  glide: 1.5
+};
+
+/**
+ * Playback modes for a source
+ */
+export const PLAYBACK_MODES = {
+  LOOP: 'loop',                     // loop from the start on every entry
+  ONE_SHOT: 'one_shot',             // play through once from the start on every entry
+  ONCE_PER_VISIT: 'once_per_visit', // play through once, and not again until the visit ends
+  RESUME: 'resume',                 // loop, continuing from where the listener left off
+  FREE_RUNNING: 'free_running'      // loop, positioned by the installation clock as if always playing
+};
+
+/**
+ * Default master bus processing: flat EQ, a neutral compressor (the compressor's
+ * automatic makeup gain would make every composition louder), and a limiter
+ * that keeps overlapping regions from clipping the output
+ */
+export const DEFAULT_MASTER_BUS_SETTINGS = {
+  bypass: false,
+  eq: {
+    lowFrequency: 120,   // Hz, low shelf
+    lowGain: 0,          // dB
+    midFrequency: 1000,  // Hz, peaking
+    midGain: 0,          // dB
+    midQ: 1,
+    highFrequency: 8000, // Hz, high shelf
+    highGain: 0          // dB
+  },
+  compressor: {
+    threshold: 0,        // dB
+    knee: 6,             // dB
+    ratio: 1,            // 1 leaves the signal untouched
+    attack: 0.01,        // seconds
+    release: 0.25        // seconds
+  },
+  limiter: {
+    ceiling: -1,         // dB
+    release: 0.05        // seconds
+  }
+};
+
+/**
+ * Musical grid units that entries and loops can snap to
+ */
+export const QUANTIZE_UNITS = {
+  NONE: 'none',
+  BEAT: 'beat',
+  BAR: 'bar',
+  PHRASE: 'phrase'
+};
+
+/**
+ * Synthesized source types, for regions that need no audio file
+ */
+export const SYNTH_TYPES = {
+  DRONE: 'drone',      // detuned oscillators through a lowpass filter, slowly swelling
+  NOISE: 'noise',      // white, pink or brown noise through a slowly sweeping filter
+  FM: 'fm',            // a carrier modulated by a second oscillator, with a drifting index
+  GRANULAR: 'granular' // a cloud of short grains taken from a sample
+};
 
 /**
  * Enhanced Audio Service
  * Provides advanced audio playback features with transitions and effects
  */
 class EnhancedAudioService {
-  constructor() {
+  /**
+   * @param {Object} options - Service options
+   * @param {Number} options.cacheMaxBytes - Memory budget for decoded audio buffers
+   * @param {Object} options.masterBus - Master bus settings (see DEFAULT_MASTER_BUS_SETTINGS)
+   * @param {Number} options.streamingMaxBytes - File size above which audio is streamed
+   * @param {Number} options.streamingMaxDuration - Duration in seconds above which audio is streamed
+   * @param {Boolean} options.suspendInBackground - Suspend audio while the page is hidden (default false,
+   *   so the soundscape keeps playing in a pocket with the screen locked)
+   */
+  constructor(options = {}) {
     this.audioContext = createAudioContext();
+    this.bufferCache = new AudioBufferCache(this.audioContext, {
+      maxBytes: options.cacheMaxBytes
+    });
     this.sources = new Map();
     this.gainNodes = new Map();
-    this.effectNodes = new Map();
-    this.masterGain = this.audioContext.createGain();
-    this.masterGain.connect(this.audioContext.destination);
+    this.effectNodes = new Map(); // id => Map of effect type => effect node, in chain order
+    this.outputNodes = new Map(); // id => gain node at the end of the effect chain
+    this.trimNodes = new Map(); // id => loudness makeup gain between source and volume gain
+    this.loudnessData = new Map(); // url => { integratedLoudness, peak, duration }
+    this.loudnessAnalyses = new Map(); // url => pending analysis of a file played for the first time
+    this.analysers = new Map(); // id => analyser tapping the source's output
+    this.mediaElements = new Map(); // id => { media, startTimer } of streamed sources
+    this.mediaElementPool = []; // idle media elements that played inside a user gesture
+    this.mediaElementSources = new WeakMap(); // media element => its source node (one per element)
+    this.blockedMedia = new Set(); // media elements the browser did not let start
+    this.streamingDecisions = new Map(); // url => whether the file is streamed
+    this.formatSupport = new Map(); // MIME type => '', 'maybe' or 'probably'
+    this.streamingThresholds = {
+      bytes: options.streamingMaxBytes || STREAMING_MAX_BYTES,
+      duration: options.streamingMaxDuration || STREAMING_MAX_DURATION
+    };
+    this.meterTimer = null;
+    this.pendingStops = new Map(); // id => cleanup timeout of a fade out in progress
+    this.pendingLoads = new Map(); // id => token of the play still loading its source
+    this.replacedSources = new Set(); // ids the old audio fades out under after replaceAudio
+    this.playbackSettings = new Map(); // last URL or synth and options per id, used for offline renders
+    this.layerSettings = new Map(); // id => { priority, ducking, volume }
+    this.duckLevels = new Map(); // id => { level, release } of the duck applied to the source's output
+    this.sourceTimings = new Map(); // id => { startedAt, offset, loop, duration } of the playing source
+    this.playbackHistory = new Map(); // id => { offset, playedThisVisit }, kept after the source stops
+    
+    // Installation clock for free-running sources, in ms since the Unix epoch
+    // (read from the shared clock when one is set, so every listener agrees)
+    this.installationEpoch = 0;
+    this.sharedClock = null;
+    
+    // Musical clock shared by all sources; beat 0 falls on the installation epoch
+    // until the tempo changes, which re-anchors the grid (origin, in shared ms)
+    this.musicalClock = {
+      bpm: 120,
+      beatsPerBar: 4,
+      beatUnit: 4,
+      barsPerPhrase: 4,
+      origin: null
+    };
+    
+    // Sources mix into the master bus; the master volume follows its limiter
+    this.masterBusSettings = this.mergeMasterBusSettings(DEFAULT_MASTER_BUS_SETTINGS, options.masterBus);
+    this.createOutputGraph();
+    
+    // Local metric frame for 3D audio, anchored at the listener's first position fix
+    this.spatialOrigin = null;
+    this.listenerPosition = { x: 0, y: 0 };
+    this.listenerHeading = null; // degrees, restored on a rebuilt context
+    
+    // Contexts that have the AudioWorklet processors loaded
+    this.workletContexts = new WeakSet();
+    this.workletsReady = this.loadWorklets(this.audioContext);
+    
+    // Unlock, suspend, resume and rebuild the context as mobile browsers require
+    this.lifecycle = new AudioContextLifecycle(this, {
+      suspendInBackground: options.suspendInBackground
+    });
+    this.lifecycle.attach(this.audioContext);
     
     // Initialize effect factories
     this.effectFactories = {
@@ -26,77 +198,262 @@ class EnhancedAudioService {
       pitchShift: this.createPitchShifter.bind(this),
       spatialAudio: this.createSpatialAudio.bind(this)
     };
+    
+    // Initialize synthesized source factories
+    this.synthFactories = {
+      [SYNTH_TYPES.DRONE]: this.createDroneSource.bind(this),
+      [SYNTH_TYPES.NOISE]: this.createNoiseSource.bind(this),
+      [SYNTH_TYPES.FM]: this.createFmSource.bind(this),
+      [SYNTH_TYPES.GRANULAR]: this.createGranularSource.bind(this)
+    };
   }
   
   /**
    * Play audio with effects
    * @param {String} id - Unique identifier for this audio
-   * @param {String} url - URL to audio file
+   * @param {String|Array|Object} audioSource - URL to audio file, encodings of the same audio
+   *   ([{ url, type }], e.g. type 'audio/webm; codecs=opus'), tried from the best supported,
+   *   or a synthesized source ({ type, parameters }, see SYNTH_TYPES)
    * @param {Object} options - Playback options
+   * @param {String} options.mode - Playback mode (see PLAYBACK_MODES), derived from loop if omitted
+   * @param {String} options.quantize - Snap the start and loop length to a beat, bar or phrase (see QUANTIZE_UNITS)
+   * @param {Boolean} options.normalize - Apply makeup gain so volume 1.0 is the same perceived level for every file
+   * @param {Object} options.loudness - Stored loudness analysis of the file, analyzed on first load if omitted
+   * @param {Boolean} options.streaming - Stream through a media element instead of decoding the whole
+   *   file; chosen from the file size or duration if omitted
    */
-  async playAudio(id, url, options = {}) {
+  async playAudio(id, audioSource, options = {}) {
     // Default options
     const defaultOptions = {
       loop: true,
+      mode: null,
+      quantize: QUANTIZE_UNITS.NONE,
+      normalize: true,
+      loudness: null,
+      streaming: null,
       volume: 1.0,
       fadeIn: 0.5,
+      fadeInCurve: CURVE_SHAPES.LINEAR,
+      priority: 0,
+      ducking: null,
       effects: {}
     };
     
     const settings = { ...defaultOptions, ...options };
+    const synth = this.isSynthSource(audioSource) ? audioSource : null;
+    
+    if (!settings.mode) {
+      settings.mode = settings.loop ? PLAYBACK_MODES.LOOP : PLAYBACK_MODES.ONE_SHOT;
+    }
+    
+    // Synthesized sources have no end, so they play until stopped in every mode
+    settings.loop = this.isLoopingMode(settings.mode) || Boolean(synth);
+    
+    this.layerSettings.set(id, {
+      priority: settings.priority,
+      ducking: settings.ducking,
+      volume: settings.volume
+    });
+    
+    // Already playing (e.g. re-entered while fading out): bring it back instead of layering
+    if (this.sources.has(id)) {
+      this.cancelStop(id);
+      this.updateDucking();
+      return this.setVolume(id, settings.volume, settings.fadeIn, settings.fadeInCurve);
+    }
+    
+    const history = this.getPlaybackHistory(id);
+    
+    // Already heard during this visit
+    if (settings.mode === PLAYBACK_MODES.ONCE_PER_VISIT && history.playedThisVisit) {
+      this.layerSettings.delete(id);
+      return false;
+    }
+    
+    // A play of the same id that is still loading is superseded by this one
+    const load = {};
+    let loading = true;
+    this.pendingLoads.set(id, load);
     
     try {
-      // Fetch audio
-      const response = await fetch(url);
-      const arrayBuffer = await response.arrayBuffer();
-      const audioBuffer = await this.audioContext.decodeAudioData(arrayBuffer);
+      // Fetch audio (shared with other playback requests for the same URL),
+      // or open a media element that streams it
+      const { url, streaming, audioBuffer, media } = synth
+        ? {}
+        : await this.loadPlayableSource(audioSource, settings);
+      
+      // Effects such as the pitch shifter need their worklets loaded
+      await this.workletsReady;
+      
+      const synthNode = synth ? await this.createSynthSource(synth) : null;
+      
+      // Stopped or played again while loading
+      if (this.pendingLoads.get(id) !== load) {
+        if (media) {
+          this.releaseMediaElement(media);
+        }
+        return false;
+      }
+      
+      this.pendingLoads.delete(id);
+      loading = false;
+      
+      this.playbackSettings.set(id, { url, synth, settings });
       
       // Create source
-      const source = this.audioContext.createBufferSource();
-      source.buffer = audioBuffer;
-      source.loop = settings.loop;
+      let source;
+      
+      if (synth) {
+        source = synthNode;
+      } else if (streaming) {
+        source = this.getMediaElementSource(media);
+      } else {
+        source = this.audioContext.createBufferSource();
+        source.buffer = audioBuffer;
+        source.loop = settings.loop;
+      }
+      
+      // Loudness makeup gain, independent of the volume automated by transitions
+      // (synthesized sources set their own level, granular clouds follow their sample)
+      const trimNode = this.audioContext.createGain();
+      trimNode.gain.value = 1;
+      
+      const loudnessUrl = synth ? this.getSampleUrl(synth) : url;
+      
+      if (settings.normalize && loudnessUrl) {
+        const loudness = settings.loudness || this.loudnessData.get(loudnessUrl);
+        
+        if (loudness) {
+          trimNode.gain.value = getNormalizationGain(loudness);
+        } else if (!streaming) {
+          // The first play of a file starts at unity gain while it is analyzed in the
+          // background (streamed files are never fully decoded, so they need a stored analysis)
+          Promise.resolve(audioBuffer || this.bufferCache.get(loudnessUrl))
+            .then(buffer => this.getLoudness(loudnessUrl, buffer))
+            .then(result => {
+              if (this.trimNodes.get(id) !== trimNode) return;
+              
+              rampParameter(trimNode.gain, getNormalizationGain(result), LOUDNESS_TRIM_RAMP_TIME, this.audioContext);
+            })
+            .catch(error => console.error(`Error analyzing loudness of ${loudnessUrl}:`, error));
+        }
+      }
       
       // Create gain node for volume control
       const gainNode = this.audioContext.createGain();
       gainNode.gain.value = 0; // Start at 0 for fade-in
       
+      // Fixed output node so effects can be inserted after the last one
+      const outputNode = this.audioContext.createGain();
+      
       // Store references
       this.sources.set(id, source);
+      this.trimNodes.set(id, trimNode);
       this.gainNodes.set(id, gainNode);
       this.effectNodes.set(id, new Map());
+      this.outputNodes.set(id, outputNode);
       
-      // Connect source to gain
-      source.connect(gainNode);
+      // Connect source to gain through the trim
+      source.connect(trimNode);
+      trimNode.connect(gainNode);
       
       // Create and connect effect chain
-      let lastNode = gainNode;
-      
-      for (const [effectType, enabled] of Object.entries(settings.effects)) {
-        if (enabled && this.effectFactories[effectType]) {
-          const effectNode = this.effectFactories[effectType](settings.effects);
-          
-          lastNode.connect(effectNode.input);
-          lastNode = effectNode.output;
-          
-          // Store effect nodes
-          this.effectNodes.get(id).set(effectType, effectNode);
-        }
-      }
+      const lastNode = this.connectEffectChain(
+        gainNode,
+        settings.effects,
+        this.effectNodes.get(id)
+      );
       
       // Connect to master gain
-      lastNode.connect(this.masterGain);
+      lastNode.connect(outputNode);
+      outputNode.connect(this.masterBus.input);
+      
+      // Meter the source after its effects and ducking
+      const analyser = this.createAnalyser();
+      outputNode.connect(analyser);
+      this.analysers.set(id, analyser);
+      
+      // Keep quantized loops a whole number of beats, bars or phrases long
+      // (media elements always loop over the whole file, synthesized sources never end)
+      let duration = Infinity;
+      
+      if (streaming) {
+        duration = media.duration;
+      } else if (!synth) {
+        duration = audioBuffer.duration;
+      }
+      
+      const loopLength = settings.loop && !streaming && !synth
+        ? this.getQuantizedLoopLength(duration, settings.quantize)
+        : duration;
       
-      // Start playback
-      source.start(0);
+      if (loopLength < duration) {
+        source.loopEnd = loopLength;
+      }
+      
+      // Start playback where the mode puts it, on the next beat, bar or phrase if quantized
+      const startTime = this.getNextQuantizedTime(settings.quantize);
+      const offset = this.getStartOffset(
+        settings.mode,
+        loopLength,
+        history.offset,
+        this.getInstallationTime(startTime)
+      );
+      
+      if (streaming) {
+        this.mediaElements.set(id, {
+          media,
+          startTimer: this.startMediaElement(media, startTime, offset)
+        });
+      } else {
+        source.start(startTime, offset);
+      }
+      
+      this.sourceTimings.set(id, {
+        startedAt: startTime,
+        offset,
+        loop: settings.loop,
+        duration: loopLength,
+        media
+      });
+      history.playedThisVisit = true;
+      
+      // Clean up sources that play through once
+      if (!settings.loop) {
+        (media || source).onended = () => {
+          if (this.sources.get(id) === source) {
+            this.cancelStop(id);
+            this.disposeSource(id);
+            this.updateDucking();
+          }
+        };
+      }
       
       // Fade in
-      const now = this.audioContext.currentTime;
-      gainNode.gain.setValueAtTime(0, now);
-      gainNode.gain.linearRampToValueAtTime(settings.volume, now + settings.fadeIn);
+      rampParameter(
+        gainNode.gain,
+        settings.volume,
+        settings.fadeIn,
+        this.audioContext,
+        settings.fadeInCurve,
+        startTime
+      );
+      
+      // Duck lower-priority layers, or get ducked by higher-priority ones
+      this.updateDucking();
       
       return true;
     } catch (error) {
       console.error(`Error playing audio ${id}:`, error);
+      
+      if (loading) {
+        // Stopped or played again while loading: the id is no longer this play's
+        if (this.pendingLoads.get(id) !== load) return false;
+        
+        this.pendingLoads.delete(id);
+      }
+      
+      this.layerSettings.delete(id);
       return false;
     }
   }
@@ -105,307 +462,2150 @@ class EnhancedAudioService {
    * Stop audio with fade out
    * @param {String} id - Audio identifier
    * @param {Number} fadeOut - Fade out duration in seconds
+   * @param {String} curve - Fade curve shape
    */
-  stopAudio(id, fadeOut = 0.5) {
+  stopAudio(id, fadeOut = 0.5, curve = CURVE_SHAPES.LINEAR) {
+    // Still loading: it never starts
+    if (this.pendingLoads.has(id)) {
+      this.pendingLoads.delete(id);
+      this.layerSettings.delete(id);
+      return true;
+    }
+    
     const source = this.sources.get(id);
     const gainNode = this.gainNodes.get(id);
     
     if (!source || !gainNode) return false;
     
-    const now = this.audioContext.currentTime;
-    gainNode.gain.setValueAtTime(gainNode.gain.value, now);
-    gainNode.gain.linearRampToValueAtTime(0, now + fadeOut);
+    rampParameter(gainNode.gain, 0, fadeOut, this.audioContext, curve);
     
     // Schedule cleanup after fade
-    setTimeout(() => {
-      try {
-        source.stop();
-      } catch (e) {
-        // Ignore errors if already stopped
-      }
+    this.cancelStop(id);
+    this.pendingStops.set(id, setTimeout(() => {
+      this.pendingStops.delete(id);
       
-      this.sources.delete(id);
-      this.gainNodes.delete(id);
-      
-      // Clean up effect nodes
-      const effects = this.effectNodes.get(id);
-      if (effects) {
-        this.effectNodes.delete(id);
-      }
-    }, fadeOut * 1000);
+      this.disposeSource(id);
+    }, fadeOut * 1000));
+    
+    // Release the layers this source was ducking while it fades out
+    this.updateDucking();
     
     return true;
   }
   
   /**
-   * Set volume for an audio source
+   * Stop a source immediately and release its nodes, remembering its
+   * playback position for the resume mode
    * @param {String} id - Audio identifier
-   * @param {Number} volume - Volume level (0-1)
    */
-  setVolume(id, volume) {
-    const gainNode = this.gainNodes.get(id);
-    if (!gainNode) return false;
+  disposeSource(id) {
+    const source = this.sources.get(id);
+    if (!source) return;
     
-    const now = this.audioContext.currentTime;
-    gainNode.gain.setValueAtTime(gainNode.gain.value, now);
-    gainNode.gain.linearRampToValueAtTime(volume, now + 0.05);
+    // Renamed sources have no history of their own (see renameSource)
+    const history = this.playbackHistory.get(id);
+    if (history) {
+      history.offset = this.getPlaybackPosition(id);
+    }
     
-    return true;
+    const stream = this.mediaElements.get(id);
+    
+    if (stream) {
+      clearTimeout(stream.startTimer);
+      this.releaseMediaElement(stream.media);
+      source.disconnect();
+      this.mediaElements.delete(id);
+    } else {
+      try {
+        source.onended = null;
+        source.stop();
+      } catch (e) {
+        // Ignore errors if already stopped
+      }
+    }
+    
+    this.sources.delete(id);
+    this.trimNodes.delete(id);
+    this.gainNodes.delete(id);
+    this.analysers.delete(id);
+    this.sourceTimings.delete(id);
+    
+    // Clean up effect nodes
+    const effects = this.effectNodes.get(id);
+    if (effects) {
+      this.effectNodes.delete(id);
+    }
+    
+    const outputNode = this.outputNodes.get(id);
+    if (outputNode) {
+      outputNode.disconnect();
+      this.outputNodes.delete(id);
+    }
+    
+    this.layerSettings.delete(id);
+    this.duckLevels.delete(id);
+    this.replacedSources.delete(id);
   }
   
   /**
-   * Fade out audio
-   * @param {String} id - Audio identifier
-   * @param {Number} duration - Fade duration in seconds
+   * Stop a media element and keep it for the next stream
+   * @param {HTMLMediaElement} media - Media element that streamed a source
    */
-  fadeOutAudio(id, duration = 1.0) {
-    const gainNode = this.gainNodes.get(id);
-    if (!gainNode) return false;
-    
-    const now = this.audioContext.currentTime;
-    gainNode.gain.setValueAtTime(gainNode.gain.value, now);
-    gainNode.gain.linearRampToValueAtTime(0, now + duration);
+  releaseMediaElement(media) {
+    media.onended = null;
+    media.pause();
+    this.blockedMedia.delete(media);
     
-    // Schedule cleanup after fade
-    setTimeout(() => {
-      if (this.sources.has(id)) {
-        this.stopAudio(id, 0);
-      }
-    }, duration * 1000);
+    // Release the network connection and media buffers
+    media.removeAttribute('src');
+    media.load();
     
-    return true;
+    // The element stays allowed to play, so it is kept for the next stream
+    if (this.mediaElementPool.length < MEDIA_ELEMENT_POOL_SIZE) {
+      this.mediaElementPool.push(media);
+    }
   }
   
   /**
-   * Apply an effect to an active audio source
-   * @param {String} id - Audio identifier
-   * @param {String} effectType - Type of effect
-   * @param {Object} parameters - Effect parameters
+   * Load the first encoding of a source that the browser can decode
+   * Encodings are ordered by browser support; when one fails to load, the next
+   * one is tried, and when the browser cannot decode it its type is marked
+   * unsupported for every source
+   * @param {String|Array} audioSource - URL, or [{ url, type }]
+   * @param {Object} settings - Playback settings
+   * @returns {Promise<Object>} { url, streaming, audioBuffer, media }
    */
-  applyEffect(id, effectType, parameters) {
-    const effectsMap = this.effectNodes.get(id);
-    if (!effectsMap) return false;
+  async loadPlayableSource(audioSource, settings) {
+    const candidates = await this.getPlayableEncodings(audioSource);
     
-    const effectNode = effectsMap.get(effectType);
-    if (!effectNode) return false;
+    if (candidates.length === 0) {
+      throw new Error('None of the audio encodings can be played by this browser');
+    }
     
-    // Apply parameters to effect node
-    switch (effectType) {
-      case 'lowpass':
-        if (parameters.frequency) {
-          effectNode.filter.frequency.setValueAtTime(
-            parameters.frequency,
-            this.audioContext.currentTime
-          );
-        }
-        if (parameters.Q) {
-          effectNode.filter.Q.setValueAtTime(
-            parameters.Q,
-            this.audioContext.currentTime
-          );
-        }
-        break;
-        
-      case 'highpass':
-        if (parameters.frequency) {
-          effectNode.filter.frequency.setValueAtTime(
-            parameters.frequency,
-            this.audioContext.currentTime
-          );
-        }
-        if (parameters.Q) {
-          effectNode.filter.Q.setValueAtTime(
-            parameters.Q,
-            this.audioContext.currentTime
-          );
-        }
-        break;
-        
-      case 'reverb':
-        if (parameters.mix !== undefined) {
-          effectNode.wetGain.gain.setValueAtTime(
-            parameters.mix,
-            this.audioContext.currentTime
-          );
-          effectNode.dryGain.gain.setValueAtTime(
-            1 - parameters.mix,
-            this.audioContext.currentTime
-          );
-        }
-        break;
-        
-      case 'delay':
-        if (parameters.time !== undefined) {
-          effectNode.delay.delayTime.setValueAtTime(
-            parameters.time,
-            this.audioContext.currentTime
-          );
-        }
-        if (parameters.feedback !== undefined) {
-          effectNode.feedback.gain.setValueAtTime(
-            parameters.feedback,
-            this.audioContext.currentTime
-          );
-        }
-        break;
+    let lastError = null;
+    
+    for (const { url, type } of candidates) {
+      try {
+        const streaming = await this.shouldStream(url, settings);
         
-      case 'pitchShift':
-        // Pitch shifting requires complex DSP, 
-        // this is a simplified version for demonstration
-        if (parameters.amount !== undefined) {
-          effectNode.pitchRatio = Math.pow(2, parameters.amount / 12);
-        }
-        break;
+        return {
+          url,
+          streaming,
+          audioBuffer: streaming ? null : await this.bufferCache.get(url),
+          media: streaming ? await this.createMediaElement(url, settings.loop) : null
+        };
+      } catch (error) {
+        lastError = error;
         
-      case 'spatialAudio':
-        if (parameters.pan !== undefined) {
-          effectNode.panner.pan.setValueAtTime(
-            parameters.pan,
-            this.audioContext.currentTime
-          );
+        // Network and server errors only concern this file
+        if (type && this.isDecodeFailure(error)) {
+          console.warn(`Could not decode ${url} (${type}), trying the next encoding:`, error);
+          this.formatSupport.set(type, '');
+        } else {
+          console.warn(`Could not load ${url}, trying the next encoding:`, error);
         }
-        break;
+      }
     }
     
-    return true;
+    throw lastError;
   }
   
-  // Effect factory methods
-  createLowpassFilter(parameters = {}) {
-    const filter = this.audioContext.createBiquadFilter();
-    filter.type = 'lowpass';
-    filter.frequency.value = parameters.lowpassFrequency || 20000;
-    filter.Q.value = parameters.Q || 1.0;
+  /**
+   * Check whether loading failed because the browser cannot decode the file,
+   * rather than because it could not be fetched
+   * @param {Error} error - Error from decoding or from a media element
+   * @returns {Boolean} True for decode failures
+   */
+  isDecodeFailure(error) {
+    if (error.name === 'EncodingError') return true;
     
-    return {
-      input: filter,
-      output: filter,
-      filter
-    };
+    return error.mediaErrorCode === MediaError.MEDIA_ERR_DECODE ||
+      error.mediaErrorCode === MediaError.MEDIA_ERR_SRC_NOT_SUPPORTED;
   }
   
-  createHighpassFilter(parameters = {}) {
-    const filter = this.audioContext.createBiquadFilter();
-    filter.type = 'highpass';
-    filter.frequency.value = parameters.highpassFrequency || 20;
-    filter.Q.value = parameters.Q || 1.0;
+  /**
+   * Order a source's encodings by how well the browser supports them,
+   * leaving out those it cannot play
+   * @param {String|Array} audioSource - URL, or [{ url, type }]
+   * @returns {Promise<Array>} [{ url, type }], best first
+   */
+  async getPlayableEncodings(audioSource) {
+    if (typeof audioSource === 'string') {
+      return [{ url: audioSource, type: null }];
+    }
     
-    return {
-      input: filter,
-      output: filter,
-      filter
-    };
+    const ranked = await Promise.all(audioSource.map(async (encoding, index) => ({
+      ...encoding,
+      index,
+      support: await this.getFormatSupport(encoding.type)
+    })));
+    
+    const rank = { probably: 2, maybe: 1 };
+    
+    return ranked
+      .filter(encoding => encoding.support !== '')
+      .sort((a, b) => (rank[b.support] - rank[a.support]) || (a.index - b.index))
+      .map(({ url, type }) => ({ url, type }));
   }
   
-  createReverb(parameters = {}) {
-    // Create nodes
-    const input = this.audioContext.createGain();
-    const output = this.audioContext.createGain();
-    const wetGain = this.audioContext.createGain();
-    const dryGain = this.audioContext.createGain();
+  /**
+   * Check whether the browser can decode a MIME type
+   * canPlayType gives a first answer, which the Media Capabilities API
+   * confirms with a decode probe where available
+   * @param {String} type - MIME type, optionally with codecs
+   * @returns {Promise<String>} '', 'maybe' or 'probably'
+   */
+  async getFormatSupport(type) {
+    // Untyped encodings are worth a try
+    if (!type) return 'maybe';
     
-    // Simple convolver-based reverb
-    const convolver = this.audioContext.createConvolver();
+    if (this.formatSupport.has(type)) {
+      return this.formatSupport.get(type);
+    }
     
-    // Set mix levels
-    const mix = parameters.reverbMix || 0.3;
-    wetGain.gain.value = mix;
-    dryGain.gain.value = 1 - mix;
+    let support = new Audio().canPlayType(type);
     
-    // Connect topology
-    input.connect(dryGain);
-    input.connect(convolver);
-    convolver.connect(wetGain);
-    dryGain.connect(output);
-    wetGain.connect(output);
+    if (support && navigator.mediaCapabilities) {
+      try {
+        const info = await navigator.mediaCapabilities.decodingInfo({
+          type: 'file',
+          audioConfiguration: { contentType: type }
+        });
+        
+        if (!info.supported) {
+          support = '';
+        }
+      } catch (error) {
+        // Types the API cannot parse keep the canPlayType answer
+      }
+    }
     
-    // Generate impulse response (simplified)
-    this.generateReverbImpulse(parameters.reverbDecay || 2.0)
-      .then(buffer => {
-        convolver.buffer = buffer;
-      })
-      .catch(err => console.error('Error creating reverb:', err));
+    this.formatSupport.set(type, support);
     
-    return {
-      input,
-      output,
-      wetGain,
-      dryGain,
-      convolver
-    };
+    return support;
   }
   
-  createDelay(parameters = {}) {
-    const input = this.audioContext.createGain();
-    const output = this.audioContext.createGain();
-    const delay = this.audioContext.createDelay(5.0);
-    const feedback = this.audioContext.createGain();
-    
-    delay.delayTime.value = parameters.delayTime || 0.3;
-    feedback.gain.value = parameters.delayFeedback || 0.3;
+  /**
+   * Decide whether a file is streamed or decoded into memory, from its
+   * duration when a loudness analysis is known, otherwise from its size;
+   * files of unknown size are streamed
+   * @param {String} url - URL of the audio file
+   * @param {Object} settings - Playback settings ({ streaming, loudness })
+   * @returns {Promise<Boolean>} True to stream
+   */
+  async shouldStream(url, settings = {}) {
+    if (settings.streaming !== null && settings.streaming !== undefined) {
+      return settings.streaming;
+    }
     
-    input.connect(output);
-    input.connect(delay);
-    delay.connect(feedback);
-    feedback.connect(delay);
-    delay.connect(output);
+    // Already decoded, or being decoded
+    if (this.bufferCache.has(url)) return false;
     
-    return {
-      input,
-      output,
-      delay,
-      feedback
-    };
-  }
-  
-  createPitchShifter(parameters = {}) {
-    // This is a simplified implementation for demonstration
-    // Real pitch shifters use complex DSP algorithms like FFT
+    if (this.streamingDecisions.has(url)) {
+      return this.streamingDecisions.get(url);
+    }
     
-    const input = this.audioContext.createGain();
-    const output = this.audioContext.createGain();
+    const known = settings.loudness || this.loudnessData.get(url);
     
-    // For simplicity, we'll just connect directly
-    // In a real implementation, this would use a more complex graph
-    input.connect(output);
+    // Without a size the file may be of any length, and decoding a long one crashes phones
+    let streaming = true;
     
-    return {
-      input,
-      output,
-      pitchRatio: Math.pow(2, (parameters.pitchAmount || 0) / 12)
+    if (known && known.duration) {
+      streaming = known.duration > this.streamingThresholds.duration;
+    } else {
+      try {
+        const response = await fetch(url, { method: 'HEAD' });
+        const bytes = response.ok ? Number(response.headers.get('Content-Length')) : 0;
+        
+        if (bytes > 0) {
+          streaming = bytes > this.streamingThresholds.bytes;
+        } else {
+          console.warn(`Size of ${url} unknown (HTTP ${response.status}), streaming it`);
+        }
+      } catch (error) {
+        console.warn(`Could not get the size of ${url}, streaming it:`, error);
+      }
+    }
+    
+    this.streamingDecisions.set(url, streaming);
+    
+    return streaming;
+  }
+  
+  /**
+   * Create a media element for streaming playback and wait for its metadata
+   * Elements unlocked by a user gesture are used first
+   * @param {String} url - URL of the audio file
+   * @param {Boolean} loop - Whether the element loops
+   * @returns {Promise<HTMLAudioElement>} Media element with a known duration
+   */
+  createMediaElement(url, loop) {
+    return new Promise((resolve, reject) => {
+      const media = this.mediaElementPool.pop() || this.createUnlockableMediaElement();
+      
+      media.preload = 'auto';
+      media.loop = loop;
+      
+      media.addEventListener('loadedmetadata', () => resolve(media), { once: true });
+      media.addEventListener('error', () => {
+        const error = new Error(`Error streaming ${url}: ${media.error ? media.error.message : 'unknown error'}`);
+        error.mediaErrorCode = media.error ? media.error.code : null;
+        reject(error);
+      }, { once: true });
+      
+      media.src = url;
+    });
+  }
+  
+  /**
+   * Start a media element at an offset, at a context time
+   * Media elements cannot be scheduled sample-accurately like buffer sources,
+   * so quantized starts are approximate
+   * @param {HTMLMediaElement} media - Media element
+   * @param {Number} startTime - Context time to start at
+   * @param {Number} offset - Offset into the file in seconds
+   * @returns {Number} Timeout ID of the scheduled start
+   */
+  startMediaElement(media, startTime, offset) {
+    media.currentTime = offset;
+    
+    const delay = Math.max(0, startTime - this.audioContext.currentTime) * 1000;
+    
+    return setTimeout(() => {
+      media.play().catch(error => {
+        if (error.name !== 'NotAllowedError') {
+          console.error('Error starting streamed audio:', error);
+          return;
+        }
+        
+        // Started outside a user gesture by an element that was never unlocked;
+        // it starts when the listener taps to enable audio
+        this.blockedMedia.add(media);
+        this.lifecycle.reportBlockedMedia();
+      });
+    }, delay);
+  }
+  
+  /**
+   * Create a media element whose output can be routed into the audio graph
+   * @returns {HTMLAudioElement} Media element
+   */
+  createUnlockableMediaElement() {
+    const media = new Audio();
+    
+    // Required for the element's output to reach the audio graph from another origin
+    media.crossOrigin = 'anonymous';
+    
+    return media;
+  }
+  
+  /**
+   * Get the source node of a media element, which can only be created once per element
+   * @param {HTMLMediaElement} media - Media element
+   * @returns {MediaElementAudioSourceNode} Source node
+   */
+  getMediaElementSource(media) {
+    if (!this.mediaElementSources.has(media)) {
+      this.mediaElementSources.set(media, this.audioContext.createMediaElementSource(media));
+    }
+    
+    return this.mediaElementSources.get(media);
+  }
+  
+  /**
+   * Let media elements play outside user gestures; must be called from a user gesture
+   * Starts the streams the browser blocked and fills the pool of unlocked elements
+   * by playing them on a silent file
+   */
+  unlockMediaElements() {
+    this.blockedMedia.forEach(media => {
+      media.play().catch(error => console.error('Error starting streamed audio:', error));
+    });
+    this.blockedMedia.clear();
+    
+    while (this.mediaElementPool.length < MEDIA_ELEMENT_POOL_SIZE) {
+      const media = this.createUnlockableMediaElement();
+      
+      media.src = SILENT_AUDIO_URI;
+      media.play()
+        .then(() => {
+          // Unless it was already taken for a stream
+          if (media.src === SILENT_AUDIO_URI) media.pause();
+        })
+        .catch(() => {
+          // Still locked; the element is tried again on the next gesture
+          this.mediaElementPool = this.mediaElementPool.filter(pooled => pooled !== media);
+        });
+      
+      this.mediaElementPool.push(media);
+    }
+  }
+  
+  /**
+   * Get the loudness analysis of a file, analyzing it in a worker the first time it is loaded
+   * @param {String} url - URL of the audio file
+   * @param {AudioBuffer} audioBuffer - Decoded audio of the file
+   * @returns {Promise<Object>} { integratedLoudness, peak, duration }
+   */
+  async getLoudness(url, audioBuffer) {
+    if (this.loudnessData.has(url)) {
+      return this.loudnessData.get(url);
+    }
+    
+    // Sources of the same file share one analysis
+    if (!this.loudnessAnalyses.has(url)) {
+      this.loudnessAnalyses.set(url, analyzeLoudness(audioBuffer)
+        .then(loudness => {
+          this.loudnessData.set(url, loudness);
+          return loudness;
+        })
+        .finally(() => this.loudnessAnalyses.delete(url)));
+    }
+    
+    return this.loudnessAnalyses.get(url);
+  }
+  
+  /**
+   * Store a loudness analysis made elsewhere (e.g. at upload or on the server)
+   * @param {String} url - URL of the audio file
+   * @param {Object} loudness - { integratedLoudness, peak }
+   */
+  setLoudness(url, loudness) {
+    this.loudnessData.set(url, loudness);
+  }
+  
+  /**
+   * Get the position of a playing source within its buffer
+   * @param {String} id - Audio identifier
+   * @returns {Number} Position in seconds (0 if not playing)
+   */
+  getPlaybackPosition(id) {
+    const timing = this.sourceTimings.get(id);
+    if (!timing) return 0;
+    
+    // Media elements keep their own position, including while buffering
+    if (timing.media) return timing.media.currentTime;
+    
+    const elapsed = Math.max(0, this.audioContext.currentTime - timing.startedAt);
+    const position = timing.offset + elapsed;
+    
+    return timing.loop
+      ? position % timing.duration
+      : Math.min(position, timing.duration);
+  }
+  
+  /**
+   * Get the offset a source starts at in the given playback mode
+   * @param {String} mode - Playback mode
+   * @param {Number} duration - Buffer duration in seconds
+   * @param {Number} resumeOffset - Position where the source last stopped, in seconds
+   * @param {Number} clockTime - Installation clock time in seconds
+   * @returns {Number} Start offset in seconds
+   */
+  getStartOffset(mode, duration, resumeOffset, clockTime) {
+    if (!duration || !Number.isFinite(duration)) return 0;
+    
+    switch (mode) {
+      case PLAYBACK_MODES.RESUME:
+        return resumeOffset % duration;
+        
+      case PLAYBACK_MODES.FREE_RUNNING:
+        return ((clockTime % duration) + duration) % duration;
+        
+      default:
+        return 0;
+    }
+  }
+  
+  /**
+   * Check whether a playback mode loops its source
+   * @param {String} mode - Playback mode
+   * @returns {Boolean} True for looping modes
+   */
+  isLoopingMode(mode) {
+    return mode !== PLAYBACK_MODES.ONE_SHOT && mode !== PLAYBACK_MODES.ONCE_PER_VISIT;
+  }
+  
+  getPlaybackHistory(id) {
+    if (!this.playbackHistory.has(id)) {
+      this.playbackHistory.set(id, { offset: 0, playedThisVisit: false });
+    }
+    
+    return this.playbackHistory.get(id);
+  }
+  
+  /**
+   * Mark the end of the listener's visit to a region, so that a
+   * once-per-visit source plays again on the next visit
+   * @param {String} id - Audio identifier
+   */
+  endVisit(id) {
+    if (this.playbackHistory.has(id)) {
+      this.playbackHistory.get(id).playedThisVisit = false;
+    }
+  }
+  
+  /**
+   * Set the installation clock that free-running sources and the musical grid follow
+   * @param {Number} epoch - Time the installation started, in ms since the Unix epoch
+   */
+  setInstallationClock(epoch) {
+    this.installationEpoch = epoch || 0;
+    this.musicalClock.origin = null;
+  }
+  
+  /**
+   * Follow a clock shared between listeners (e.g. ClockSyncService)
+   * instead of the device clock
+   * @param {Object} clock - Object with a now() method returning shared time in ms
+   */
+  setSharedClock(clock) {
+    this.sharedClock = clock;
+  }
+  
+  /**
+   * Get the shared clock time at which audio scheduled for a context time is heard
+   * @param {Number} contextTime - Context time in seconds (defaults to now)
+   * @returns {Number} Shared time in ms since the Unix epoch
+   */
+  getSharedTime(contextTime = this.audioContext.currentTime) {
+    const clockNow = this.sharedClock ? this.sharedClock.now() : Date.now();
+    const timestamp = this.audioContext.getOutputTimestamp
+      ? this.audioContext.getOutputTimestamp()
+      : null;
+    
+    // Without an output timestamp, assume the context clock is heard immediately
+    if (!timestamp || !timestamp.performanceTime) {
+      return clockNow + (contextTime - this.audioContext.currentTime) * 1000;
+    }
+    
+    // The output timestamp includes the output latency of the device
+    const performanceTime = timestamp.performanceTime + (contextTime - timestamp.contextTime) * 1000;
+    
+    return clockNow + (performanceTime - performance.now());
+  }
+  
+  /**
+   * Get the context time at which a shared clock time is heard
+   * @param {Number} sharedTime - Shared time in ms since the Unix epoch
+   * @returns {Number} Context time in seconds (may be in the past)
+   */
+  getContextTime(sharedTime) {
+    const now = this.audioContext.currentTime;
+    
+    return now + (sharedTime - this.getSharedTime(now)) / 1000;
+  }
+  
+  /**
+   * Set the composition tempo and time signature
+   * The grid is re-anchored so the current beat stays where it is, and layers
+   * already playing keep their place on it
+   * @param {Number} bpm - Beats per minute
+   * @param {String} timeSignature - Time signature, e.g. '4/4' or '6/8'
+   * @param {Number} barsPerPhrase - Bars in a phrase
+   */
+  setTempo(bpm, timeSignature = '4/4', barsPerPhrase = this.musicalClock.barsPerPhrase) {
+    const [beatsPerBar, beatUnit] = timeSignature.split('/').map(Number);
+    const previousBeat = this.getQuantizeUnitLength(QUANTIZE_UNITS.BEAT);
+    
+    this.musicalClock = {
+      ...this.musicalClock,
+      bpm: bpm > 0 ? bpm : this.musicalClock.bpm,
+      beatsPerBar: beatsPerBar || 4,
+      beatUnit: beatUnit || 4,
+      barsPerPhrase
+    };
+    
+    const beat = this.getQuantizeUnitLength(QUANTIZE_UNITS.BEAT);
+    
+    if (beat !== previousBeat) {
+      const now = this.getSharedTime();
+      const beats = (now - this.getGridOrigin()) / 1000 / previousBeat;
+      
+      this.musicalClock.origin = now - beats * beat * 1000;
+    }
+  }
+  
+  /**
+   * Get the shared clock time of beat 0
+   * @returns {Number} Time in ms since the Unix epoch
+   */
+  getGridOrigin() {
+    return this.musicalClock.origin !== null ? this.musicalClock.origin : this.installationEpoch;
+  }
+  
+  /**
+   * Get the length of a musical grid unit
+   * @param {String} unit - 'beat', 'bar' or 'phrase'
+   * @returns {Number} Length in seconds (0 for 'none')
+   */
+  getQuantizeUnitLength(unit) {
+    const { bpm, beatsPerBar, beatUnit, barsPerPhrase } = this.musicalClock;
+    
+    // Beats are counted in the time signature's note value, e.g. eighths in 6/8
+    const beat = (60 / bpm) * (4 / beatUnit);
+    
+    switch (unit) {
+      case QUANTIZE_UNITS.BEAT:
+        return beat;
+      case QUANTIZE_UNITS.BAR:
+        return beat * beatsPerBar;
+      case QUANTIZE_UNITS.PHRASE:
+        return beat * beatsPerBar * barsPerPhrase;
+      default:
+        return 0;
+    }
+  }
+  
+  /**
+   * Get the context time of the next beat, bar or phrase
+   * @param {String} unit - 'none', 'beat', 'bar' or 'phrase'
+   * @param {Number} time - Context time to quantize (defaults to now)
+   * @returns {Number} Context time
+   */
+  getNextQuantizedTime(unit, time = this.audioContext.currentTime) {
+    const length = this.getQuantizeUnitLength(unit);
+    if (!length) return time;
+    
+    const origin = this.getContextTime(this.getGridOrigin());
+    
+    // Tolerate rounding so a time already on the grid is not pushed a whole unit
+    const units = Math.ceil((time - origin) / length - 1e-6);
+    
+    return origin + units * length;
+  }
+  
+  /**
+   * Shorten a loop to a whole number of grid units so its restarts stay in time
+   * @param {Number} duration - Buffer duration in seconds
+   * @param {String} unit - 'none', 'beat', 'bar' or 'phrase'
+   * @returns {Number} Loop length in seconds
+   */
+  getQuantizedLoopLength(duration, unit) {
+    const length = this.getQuantizeUnitLength(unit);
+    
+    // Buffers shorter than one unit loop as they are
+    if (!length || duration < length) return duration;
+    
+    return Math.floor(duration / length + 1e-6) * length;
+  }
+  
+  /**
+   * Get the installation clock time
+   * @param {Number} contextTime - Context time in seconds (defaults to now)
+   * @returns {Number} Seconds since the installation started
+   */
+  getInstallationTime(contextTime = this.audioContext.currentTime) {
+    return (this.getSharedTime(contextTime) - this.installationEpoch) / 1000;
+  }
+  
+  /**
+   * Set volume for an audio source
+   * @param {String} id - Audio identifier
+   * @param {Number} volume - Volume level (0-1)
+   * @param {Number} duration - Ramp duration in seconds
+   * @param {String} curve - Ramp curve shape
+   */
+  setVolume(id, volume, duration = DEFAULT_RAMP_TIME, curve = CURVE_SHAPES.LINEAR) {
+    return this.automateParameter(id, 'gain', volume, duration, curve);
+  }
+  
+  /**
+   * Fade out audio
+   * @param {String} id - Audio identifier
+   * @param {Number} duration - Fade duration in seconds
+   * @param {String} curve - Fade curve shape
+   */
+  fadeOutAudio(id, duration = 1.0, curve = CURVE_SHAPES.LINEAR) {
+    const gainNode = this.gainNodes.get(id);
+    if (!gainNode) return false;
+    
+    rampParameter(gainNode.gain, 0, duration, this.audioContext, curve);
+    
+    // Schedule cleanup after fade
+    this.cancelStop(id);
+    this.pendingStops.set(id, setTimeout(() => {
+      this.pendingStops.delete(id);
+      
+      if (this.sources.has(id)) {
+        this.stopAudio(id, 0);
+      }
+    }, duration * 1000));
+    
+    this.updateDucking();
+    
+    return true;
+  }
+  
+  /**
+   * Cancel the cleanup of a fade out in progress
+   * The caller is responsible for ramping the volume back up
+   * @param {String} id - Audio identifier
+   * @returns {Boolean} True if a pending stop was cancelled
+   */
+  cancelStop(id) {
+    const timeout = this.pendingStops.get(id);
+    if (!timeout) return false;
+    
+    clearTimeout(timeout);
+    this.pendingStops.delete(id);
+    this.updateDucking();
+    
+    return true;
+  }
+  
+  /**
+   * Crossfade a playing source to other audio, e.g. another variant of a region
+   * The old audio fades out under a new id, so transitions and effects
+   * address the new audio from the start. The new audio gets the effect chain
+   * as it is now, with the values transitions and mappings have moved it to;
+   * it keeps the playback position only if it is the same file. A source that
+   * is fading out to a stop is left to stop
+   * @param {String} id - Audio identifier
+   * @param {String|Array|Object} audioSource - New audio (see playAudio)
+   * @param {Object} options - Playback options overriding those the source was started with
+   * @param {Number} crossfade - Crossfade duration in seconds
+   * @returns {Promise<Boolean>} Whether the new audio started
+   */
+  async replaceAudio(id, audioSource, options = {}, crossfade = 2.0) {
+    const gainNode = this.gainNodes.get(id);
+    if (!gainNode || this.isStopping(id)) return false;
+    
+    const volume = getParameterValue(gainNode.gain, this.audioContext.currentTime);
+    const playback = this.playbackSettings.get(id);
+    const settings = playback ? playback.settings : {};
+    const replacedId = `${id}:replaced:${Date.now()}`;
+    
+    // Effects in their current order (effects may have been added, removed or moved),
+    // followed by the factory settings the source was started with
+    const effects = {};
+    this.effectNodes.get(id).forEach((effectNode, effectType) => {
+      effects[effectType] = true;
+    });
+    Object.entries(settings.effects || {}).forEach(([key, value]) => {
+      if (!this.effectFactories[key]) {
+        effects[key] = value;
+      }
+    });
+    
+    // Resuming where the old audio is only makes sense within the same file
+    const urls = typeof audioSource === 'string'
+      ? [audioSource]
+      : (Array.isArray(audioSource) ? audioSource.map(encoding => encoding.url) : []);
+    const sameFile = Boolean(playback && playback.url && urls.includes(playback.url));
+    const position = this.getPlaybackPosition(id);
+    
+    this.renameSource(id, replacedId);
+    this.replacedSources.add(replacedId);
+    this.stopAudio(replacedId, crossfade, CURVE_SHAPES.EQUAL_POWER);
+    
+    if (sameFile) {
+      this.getPlaybackHistory(id).offset = position;
+    } else {
+      this.playbackHistory.delete(id);
+    }
+    
+    const started = await this.playAudio(id, audioSource, {
+      ...settings,
+      ...options,
+      effects: { ...effects, ...options.effects },
+      volume,
+      fadeIn: crossfade,
+      fadeInCurve: CURVE_SHAPES.EQUAL_POWER
+    });
+    
+    if (started) {
+      this.copyEffectValues(replacedId, id);
+    }
+    
+    return started;
+  }
+  
+  /**
+   * Set a source's effect parameters to the current values of another source's
+   * effects of the same types
+   * @param {String} fromId - Audio identifier to copy from
+   * @param {String} toId - Audio identifier to copy to
+   */
+  copyEffectValues(fromId, toId) {
+    const fromEffects = this.effectNodes.get(fromId);
+    const toEffects = this.effectNodes.get(toId);
+    if (!fromEffects || !toEffects) return;
+    
+    const now = this.audioContext.currentTime;
+    
+    fromEffects.forEach((effectNode, effectType) => {
+      const target = toEffects.get(effectType);
+      if (!target) return;
+      
+      Object.entries(effectNode.params || {}).forEach(([name, param]) => {
+        if (target.params && target.params[name]) {
+          rampParameter(target.params[name], getParameterValue(param, now), DEFAULT_RAMP_TIME, this.audioContext);
+        }
+      });
+      
+      // The pan of a source without a map position is not an audio parameter
+      if (effectType === 'spatialAudio' && !effectNode.sourcePosition && effectNode.pan !== undefined) {
+        this.automateParameter(toId, 'spatialAudio.pan', effectNode.pan);
+      }
+    });
+  }
+  
+  /**
+   * Move a playing source and its nodes to another id
+   * A pending stop is bound to the old id, so it is cancelled; stop the source
+   * again under its new id. The playback history stays with the old id.
+   * @param {String} id - Current audio identifier
+   * @param {String} newId - New audio identifier
+   */
+  renameSource(id, newId) {
+    this.cancelStop(id);
+    
+    [
+      this.sources,
+      this.gainNodes,
+      this.effectNodes,
+      this.outputNodes,
+      this.trimNodes,
+      this.analysers,
+      this.mediaElements,
+      this.sourceTimings,
+      this.layerSettings,
+      this.duckLevels
+    ].forEach(map => {
+      if (map.has(id)) {
+        map.set(newId, map.get(id));
+        map.delete(id);
+      }
+    });
+  }
+  
+  /**
+   * Lower the output of each source by the largest duck of any active
+   * higher-priority source, and restore it when those sources stop
+   * A ducker ducks in proportion to the volume it is heading to, so a region
+   * fading in as the listener approaches does not duck at full depth before
+   * it can be heard; sources that are fading out no longer duck other sources
+   */
+  updateDucking() {
+    const duckers = [];
+    
+    this.layerSettings.forEach((layer, id) => {
+      if (
+        layer.ducking &&
+        layer.ducking.enabled &&
+        this.sources.has(id) &&
+        !this.pendingStops.has(id)
+      ) {
+        duckers.push({ id, ...layer });
+      }
+    });
+    
+    this.outputNodes.forEach((outputNode, id) => {
+      const layer = this.layerSettings.get(id);
+      const priority = layer ? layer.priority : 0;
+      
+      // The strongest duck wins when several higher-priority sources overlap
+      let duck = null;
+      let amount = 0;
+      duckers.forEach(ducker => {
+        if (ducker.id === id || ducker.priority <= priority) return;
+        
+        const duckerAmount = Math.abs(ducker.ducking.amount) * Math.min(1, Math.max(0, ducker.volume));
+        
+        if (!duck || duckerAmount > amount) {
+          duck = ducker.ducking;
+          amount = duckerAmount;
+        }
+      });
+      
+      const current = this.duckLevels.get(id) || { level: 1, release: 0 };
+      const level = amount > 0 ? Math.pow(10, -amount / 20) : 1;
+      
+      if (level === current.level) return;
+      
+      // Attack of the new duck when going down, release of the previous one when coming back up
+      const duration = level < current.level ? duck.attack : current.release;
+      
+      rampParameter(outputNode.gain, level, duration, this.audioContext);
+      
+      this.duckLevels.set(id, {
+        level,
+        release: duck ? duck.release : 0
+      });
+    });
+  }
+  
+  /**
+   * Check whether audio is playing (including while fading out)
+   * @param {String} id - Audio identifier
+   * @returns {Boolean} True if playing
+   */
+  isPlaying(id) {
+    return this.sources.has(id);
+  }
+  
+  /**
+   * Check if an audio source is fading out to a stop
+   * @param {String} id - Audio identifier
+   * @returns {Boolean}
+   */
+  isStopping(id) {
+    return this.pendingStops.has(id);
+  }
+  
+  /**
+   * Apply an effect to an active audio source
+   * @param {String} id - Audio identifier
+   * @param {String} effectType - Type of effect
+   * @param {Object} parameters - Effect parameters
+   */
+  applyEffect(id, effectType, parameters) {
+    const effectsMap = this.effectNodes.get(id);
+    if (!effectsMap) return false;
+    
+    // Insert the effect if the source was started without it
+    const effectNode = effectsMap.get(effectType) || this.addEffect(id, effectType);
+    if (!effectNode) return false;
+    
+    const rampTime = parameters.rampTime !== undefined ? parameters.rampTime : DEFAULT_RAMP_TIME;
+    const curve = parameters.curve || CURVE_SHAPES.LINEAR;
+    
+    // Apply parameters to effect node
+    switch (effectType) {
+      case 'lowpass':
+      case 'highpass':
+        if (parameters.frequency) {
+          this.automateParameter(id, `${effectType}.frequency`, parameters.frequency, rampTime, curve);
+        }
+        if (parameters.Q) {
+          this.automateParameter(id, `${effectType}.Q`, parameters.Q, rampTime, curve);
+        }
+        break;
+        
+      case 'reverb':
+        if (parameters.mix !== undefined) {
+          this.automateParameter(id, 'reverb.mix', parameters.mix, rampTime, curve);
+        }
+        break;
+        
+      case 'delay':
+        if (parameters.time !== undefined) {
+          this.automateParameter(id, 'delay.time', parameters.time, rampTime, curve);
+        }
+        if (parameters.feedback !== undefined) {
+          this.automateParameter(id, 'delay.feedback', parameters.feedback, rampTime, curve);
+        }
+        break;
+        
+      case 'pitchShift':
+        if (parameters.amount !== undefined) {
+          this.automateParameter(id, 'pitchShift.semitones', parameters.amount, rampTime, curve);
+        }
+        break;
+        
+      case 'spatialAudio':
+        if (parameters.position) {
+          effectNode.sourcePosition = parameters.position;
+          this.positionSpatialSource(effectNode);
+        } else if (parameters.pan !== undefined) {
+          this.automateParameter(id, 'spatialAudio.pan', parameters.pan, rampTime, curve);
+        }
+        break;
+    }
+    
+    return true;
+  }
+  
+  /**
+   * Ramp the gain or an effect parameter of a playing source
+   * A ramp in progress on the same parameter is cancelled and the new ramp
+   * continues from its current value
+   * @param {String} id - Audio identifier
+   * @param {String} target - 'gain' or '<effectType>.<parameter>', e.g. 'lowpass.frequency',
+   *   'lowpass.Q', 'reverb.mix', 'delay.time', 'delay.feedback', 'pitchShift.semitones', 'spatialAudio.pan',
+   *   or 'synth.<parameter>' for synthesized sources, e.g. 'synth.frequency', 'synth.cutoff', 'synth.position'
+   * @param {Number} value - Target value
+   * @param {Number} duration - Ramp duration in seconds
+   * @param {String} curve - Curve shape (see CURVE_SHAPES)
+   * @returns {Boolean} True if the parameter was found
+   */
+  automateParameter(id, target, value, duration = DEFAULT_RAMP_TIME, curve = CURVE_SHAPES.LINEAR) {
+    if (target === 'gain') {
+      const gainNode = this.gainNodes.get(id);
+      if (!gainNode) return false;
+      
+      rampParameter(gainNode.gain, value, duration, this.audioContext, curve);
+      
+      // Duckers duck in proportion to their volume
+      const layer = this.layerSettings.get(id);
+      if (layer && layer.volume !== value) {
+        layer.volume = value;
+        
+        if (layer.ducking && layer.ducking.enabled) {
+          this.updateDucking();
+        }
+      }
+      
+      return true;
+    }
+    
+    const [effectType, parameter] = target.split('.');
+    
+    if (effectType === 'synth') {
+      return this.automateSynthParameter(id, parameter, value, duration, curve);
+    }
+    
+    const effectsMap = this.effectNodes.get(id);
+    if (!effectsMap) return false;
+    
+    // Insert the effect if the source was started without it
+    const effectNode = effectsMap.get(effectType) || this.addEffect(id, effectType);
+    if (!effectNode) return false;
+    
+    // Reverb mix moves the wet and dry levels together
+    if (effectType === 'reverb' && parameter === 'mix') {
+      rampParameter(effectNode.params.wet, value, duration, this.audioContext, curve);
+      rampParameter(effectNode.params.dry, 1 - value, duration, this.audioContext, curve);
+      return true;
+    }
+    
+    // Pan moves a source without a map position around the front of the listener
+    if (effectType === 'spatialAudio' && parameter === 'pan') {
+      if (effectNode.sourcePosition) return false;
+      
+      effectNode.pan = value;
+      const { x, z } = this.getSpatialCoordinates(effectNode);
+      
+      if (effectNode.panner.positionX) {
+        rampParameter(effectNode.panner.positionX, x, duration, this.audioContext, curve);
+        rampParameter(effectNode.panner.positionZ, z, duration, this.audioContext, curve);
+      } else {
+        effectNode.panner.setPosition(x, 0, z);
+      }
+      return true;
+    }
+    
+    const param = effectNode.params && effectNode.params[parameter];
+    if (!param) return false;
+    
+    rampParameter(param, value, duration, this.audioContext, curve);
+    return true;
+  }
+  
+  /**
+   * Ramp a parameter of a playing synthesized source
+   * Grain settings of granular clouds are not audio parameters; they change
+   * at once and apply from the next grain
+   * @param {String} id - Audio identifier
+   * @param {String} parameter - Synth parameter name
+   * @param {Number} value - Target value
+   * @param {Number} duration - Ramp duration in seconds
+   * @param {String} curve - Curve shape (see CURVE_SHAPES)
+   * @returns {Boolean} True if the parameter was found
+   */
+  automateSynthParameter(id, parameter, value, duration = DEFAULT_RAMP_TIME, curve = CURVE_SHAPES.LINEAR) {
+    const source = this.sources.get(id);
+    if (!source || !source.synth) return false;
+    
+    if (source.params[parameter]) {
+      rampParameter(source.params[parameter], value, duration, this.audioContext, curve);
+      return true;
+    }
+    
+    if (parameter in source.values) {
+      source.values[parameter] = value;
+      return true;
+    }
+    
+    return false;
+  }
+  
+  /**
+   * Describe a scrubbing source: a file played as a granular cloud whose
+   * position the listener sets by walking. Grains keep the original pitch,
+   * so the walking pace sets the tempo and standing still freezes the sound
+   * @param {String} url - URL of the audio file (decoded in full, so it must be within the streaming thresholds)
+   * @param {Object} parameters - Granular settings overriding SCRUB_GRAIN_SETTINGS,
+   *   and the starting position (0-1 through the file)
+   * @returns {Object} Synthesized source for playAudio
+   */
+  getScrubSource(url, parameters = {}) {
+    return {
+      type: SYNTH_TYPES.GRANULAR,
+      parameters: {
+        ...SCRUB_GRAIN_SETTINGS,
+        position: 0,
+        ...parameters,
+        url
+      }
+    };
+  }
+  
+  /**
+   * Move the playhead of a scrubbing source
+   * @param {String} id - Audio identifier
+   * @param {Number} position - Position through the file (0-1)
+   * @returns {Boolean} True if the source is playing
+   */
+  scrubTo(id, position) {
+    return this.automateSynthParameter(id, 'position', Math.min(1, Math.max(0, position)));
+  }
+  
+  /**
+   * Insert an effect into the chain of a playing source
+   * The effect is crossfaded in to avoid clicks
+   * @param {String} id - Audio identifier
+   * @param {String} effectType - Type of effect
+   * @param {Object} parameters - Effect factory parameters
+   * @param {Number} index - Position in the chain (defaults to the end)
+   * @returns {Object|null} The effect node, or null if it could not be added
+   */
+  addEffect(id, effectType, parameters = {}, index = Infinity) {
+    const effectsMap = this.effectNodes.get(id);
+    if (!effectsMap || !this.effectFactories[effectType]) return null;
+    
+    if (effectsMap.has(effectType)) {
+      return effectsMap.get(effectType);
+    }
+    
+    const effectNode = this.effectFactories[effectType](parameters);
+    effectNode.slot = this.createEffectSlot(effectNode, this.audioContext, 0);
+    
+    // Rebuild the map so its order matches the new chain order
+    const entries = Array.from(effectsMap.entries());
+    entries.splice(Math.min(index, entries.length), 0, [effectType, effectNode]);
+    effectsMap.clear();
+    entries.forEach(([type, node]) => effectsMap.set(type, node));
+    
+    // The new slot is fully dry, so rewiring it in is inaudible
+    this.rewireEffectChain(id);
+    this.setSlotMix(effectNode.slot, 1, EFFECT_CROSSFADE_TIME);
+    
+    return effectNode;
+  }
+  
+  /**
+   * Remove an effect from the chain of a playing source
+   * The effect is crossfaded out before it is disconnected
+   * @param {String} id - Audio identifier
+   * @param {String} effectType - Type of effect
+   * @returns {Boolean} True if the effect was removed
+   */
+  removeEffect(id, effectType) {
+    const effectsMap = this.effectNodes.get(id);
+    const effectNode = effectsMap && effectsMap.get(effectType);
+    if (!effectNode) return false;
+    
+    this.setSlotMix(effectNode.slot, 0, EFFECT_CROSSFADE_TIME);
+    
+    setTimeout(() => {
+      // Skip if the source was stopped or the effect replaced in the meantime
+      if (this.effectNodes.get(id) !== effectsMap || effectsMap.get(effectType) !== effectNode) return;
+      
+      effectsMap.delete(effectType);
+      this.rewireEffectChain(id);
+      
+      effectNode.slot.output.disconnect();
+      effectNode.output.disconnect();
+    }, EFFECT_CROSSFADE_TIME * 1000 * 2);
+    
+    return true;
+  }
+  
+  /**
+   * Change the order of the effects of a playing source
+   * Effects are bypassed while the chain is rewired
+   * @param {String} id - Audio identifier
+   * @param {Array} order - Effect types in the new order; unlisted effects keep their relative order at the end
+   * @returns {Boolean} True if the chain is being reordered
+   */
+  reorderEffects(id, order) {
+    const effectsMap = this.effectNodes.get(id);
+    if (!effectsMap) return false;
+    
+    const listed = order.filter(type => effectsMap.has(type));
+    const unlisted = Array.from(effectsMap.keys()).filter(type => !listed.includes(type));
+    const newOrder = [...listed, ...unlisted];
+    const effectNodes = Array.from(effectsMap.values());
+    
+    effectNodes.forEach(effectNode => this.setSlotMix(effectNode.slot, 0, EFFECT_CROSSFADE_TIME));
+    
+    setTimeout(() => {
+      if (this.effectNodes.get(id) !== effectsMap) return;
+      
+      const nodes = new Map(effectsMap);
+      effectsMap.clear();
+      newOrder.forEach(type => {
+        if (nodes.has(type)) effectsMap.set(type, nodes.get(type));
+      });
+      
+      this.rewireEffectChain(id);
+      effectsMap.forEach(effectNode => this.setSlotMix(effectNode.slot, 1, EFFECT_CROSSFADE_TIME));
+    }, EFFECT_CROSSFADE_TIME * 1000 * 2);
+    
+    return true;
+  }
+  
+  /**
+   * Get the effect types of a source in chain order
+   * @param {String} id - Audio identifier
+   * @returns {Array} Effect types
+   */
+  getEffectOrder(id) {
+    return Array.from((this.effectNodes.get(id) || new Map()).keys());
+  }
+  
+  /**
+   * Wrap an effect in a dry/wet slot so it can be faded in and out of the chain
+   * @param {Object} effectNode - Effect node with input and output
+   * @param {BaseAudioContext} context - Context to create the nodes in
+   * @param {Number} wetLevel - Initial wet level (0 = bypassed, 1 = fully applied)
+   * @returns {Object} Slot with input, output, dry and wet gain nodes
+   */
+  createEffectSlot(effectNode, context, wetLevel) {
+    const input = context.createGain();
+    const output = context.createGain();
+    const dry = context.createGain();
+    const wet = context.createGain();
+    
+    dry.gain.value = 1 - wetLevel;
+    wet.gain.value = wetLevel;
+    
+    input.connect(dry);
+    dry.connect(output);
+    input.connect(effectNode.input);
+    effectNode.output.connect(wet);
+    wet.connect(output);
+    
+    return { input, output, dry, wet };
+  }
+  
+  /**
+   * Crossfade a slot between bypassed and fully applied
+   * @param {Object} slot - Effect slot
+   * @param {Number} wetLevel - Target wet level
+   * @param {Number} duration - Crossfade time in seconds
+   */
+  setSlotMix(slot, wetLevel, duration) {
+    rampParameter(slot.wet.gain, wetLevel, duration, slot.wet.context);
+    rampParameter(slot.dry.gain, 1 - wetLevel, duration, slot.wet.context);
+  }
+  
+  /**
+   * Reconnect a source's gain node, effect slots and output node in chain order
+   * All connections change in the same task, so the switch is atomic
+   * @param {String} id - Audio identifier
+   */
+  rewireEffectChain(id) {
+    const gainNode = this.gainNodes.get(id);
+    const outputNode = this.outputNodes.get(id);
+    const effectsMap = this.effectNodes.get(id);
+    if (!gainNode || !outputNode || !effectsMap) return;
+    
+    gainNode.disconnect();
+    effectsMap.forEach(effectNode => effectNode.slot.output.disconnect());
+    
+    let lastNode = gainNode;
+    
+    effectsMap.forEach(effectNode => {
+      lastNode.connect(effectNode.slot.input);
+      lastNode = effectNode.slot.output;
+    });
+    
+    lastNode.connect(outputNode);
+  }
+  
+  /**
+   * Build an effect chain after a node
+   * @param {AudioNode} inputNode - Node feeding the chain
+   * @param {Object} effects - Enabled effects and their parameters
+   * @param {Map} effectNodes - Map to store the created effect nodes in
+   * @param {BaseAudioContext} context - Context to create the nodes in
+   * @returns {AudioNode} The last node of the chain
+   */
+  connectEffectChain(inputNode, effects, effectNodes, context = this.audioContext) {
+    let lastNode = inputNode;
+    
+    for (const [effectType, enabled] of Object.entries(effects)) {
+      if (enabled && this.effectFactories[effectType]) {
+        const effectNode = this.effectFactories[effectType](effects, context);
+        effectNode.slot = this.createEffectSlot(effectNode, context, 1);
+        
+        lastNode.connect(effectNode.slot.input);
+        lastNode = effectNode.slot.output;
+        
+        // Store effect nodes
+        effectNodes.set(effectType, effectNode);
+      }
+    }
+    
+    return lastNode;
+  }
+  
+  /**
+   * Render a recorded journey offline
+   * Rebuilds the playback graph in an OfflineAudioContext and replays
+   * the recorded region volumes over time
+   * @param {Object} recording - Recording data with duration and audioEvents
+   * @param {Object} options - Render options ({ regionUrls: { regionId: url } })
+   * @returns {Promise<Blob>} WAV file of the journey
+   */
+  async renderJourney(recording, options = {}) {
+    const regionUrls = options.regionUrls || {};
+    const sampleRate = this.audioContext.sampleRate;
+    const length = Math.max(1, Math.ceil((recording.duration / 1000) * sampleRate));
+    const offlineContext = new OfflineAudioContext(2, length, sampleRate);
+    await this.loadWorklets(offlineContext);
+    
+    // Same master processing as live playback
+    const masterBus = this.createMasterBus(this.masterBusSettings, offlineContext);
+    const masterGain = offlineContext.createGain();
+    masterGain.gain.value = this.masterGain.gain.value;
+    masterBus.output.connect(masterGain);
+    masterGain.connect(offlineContext.destination);
+    
+    // Replay the listener's movement for 3D positioned regions
+    if (recording.path && recording.path.length > 0) {
+      this.automateListenerPath(offlineContext.listener, recording.path);
+    }
+    
+    const timeline = this.buildJourneyTimeline(recording.audioEvents);
+    const recordingStart = recording.startTime ? new Date(recording.startTime).getTime() : Date.now();
+    
+    for (const [regionId, keyframes] of timeline) {
+      const playback = this.playbackSettings.get(regionId);
+      const url = regionUrls[regionId] || (playback && playback.url);
+      const synth = !regionUrls[regionId] && playback ? playback.synth : null;
+      
+      if (!url && !synth) {
+        console.warn(`No audio URL known for region ${regionId}, skipping in render`);
+        continue;
+      }
+      
+      // Files too long to decode in memory, granular samples included, are left to the server mixdown
+      const sampleUrl = synth ? this.getSampleUrl(synth) : url;
+      
+      if (sampleUrl && await this.shouldStream(sampleUrl, !synth && playback ? playback.settings : {})) {
+        console.warn(`Region ${regionId} is streamed and too long to render in the browser, skipping in render`);
+        continue;
+      }
+      
+      const audioBuffer = sampleUrl ? await this.bufferCache.get(sampleUrl) : null;
+      
+      // Use the effect settings the region was played with,
+      // falling back to the recorded effect names
+      const effects = playback
+        ? playback.settings.effects
+        : keyframes.reduce((acc, keyframe) => {
+          keyframe.effects.forEach(type => { acc[type] = true; });
+          return acc;
+        }, {});
+      
+      // Same loudness makeup gain as live playback
+      const normalize = playback ? playback.settings.normalize : true;
+      const trimNode = offlineContext.createGain();
+      trimNode.gain.value = normalize && sampleUrl
+        ? getNormalizationGain((playback && playback.settings.loudness) || await this.getLoudness(sampleUrl, audioBuffer).catch(() => null))
+        : 1;
+      
+      const gainNode = offlineContext.createGain();
+      trimNode.connect(gainNode);
+      
+      const effectNodes = new Map();
+      const lastNode = this.connectEffectChain(gainNode, effects, effectNodes, offlineContext);
+      lastNode.connect(masterBus.input);
+      
+      // Wait for asynchronously generated effect resources (reverb impulses)
+      await Promise.all(Array.from(effectNodes.values()).map(node => node.ready));
+      
+      // Automate gain between the recorded snapshots
+      gainNode.gain.setValueAtTime(keyframes[0].volume, keyframes[0].time);
+      keyframes.slice(1).forEach(keyframe => {
+        gainNode.gain.linearRampToValueAtTime(keyframe.volume, keyframe.time);
+      });
+      
+      // Start a new source for each visit, positioned as playAudio would
+      const mode = playback ? playback.settings.mode : PLAYBACK_MODES.LOOP;
+      let resumeOffset = 0;
+      
+      for (const visit of this.getJourneyVisits(keyframes)) {
+        // Synthesized sources are generated afresh for each visit
+        if (synth) {
+          const synthSource = await this.createSynthSource(synth, offlineContext);
+          synthSource.connect(trimNode);
+          synthSource.start(visit.start);
+          synthSource.stop(visit.end);
+          continue;
+        }
+        
+        const offset = this.getStartOffset(
+          mode,
+          audioBuffer.duration,
+          resumeOffset,
+          (recordingStart - this.installationEpoch) / 1000 + visit.start
+        );
+        
+        const source = offlineContext.createBufferSource();
+        source.buffer = audioBuffer;
+        source.loop = this.isLoopingMode(mode);
+        source.connect(trimNode);
+        source.start(visit.start, offset);
+        source.stop(visit.end);
+        
+        resumeOffset = offset + (visit.end - visit.start);
+      }
+    }
+    
+    const renderedBuffer = await offlineContext.startRendering();
+    
+    return new Blob([audioBufferToWav(renderedBuffer)], { type: 'audio/wav' });
+  }
+  
+  /**
+   * Convert recorded audio snapshots into per-region keyframes
+   * @param {Array} audioEvents - Recorded audio snapshots
+   * @returns {Map} regionId => [{ time, volume, effects }]
+   */
+  buildJourneyTimeline(audioEvents = []) {
+    const events = [...audioEvents].sort((a, b) => a.timeSinceStart - b.timeSinceStart);
+    const regionIds = new Set();
+    
+    events.forEach(event => {
+      event.activeRegions.forEach(region => regionIds.add(region.regionId));
+    });
+    
+    const timeline = new Map();
+    
+    regionIds.forEach(regionId => {
+      timeline.set(regionId, events.map(event => {
+        const entry = event.activeRegions.find(region => region.regionId === regionId);
+        
+        return {
+          time: event.timeSinceStart / 1000,
+          volume: entry ? entry.volume : 0,
+          effects: entry ? entry.effects : []
+        };
+      }));
+    });
+    
+    return timeline;
+  }
+  
+  /**
+   * Find the time spans in which a region was audible
+   * @param {Array} keyframes - Region keyframes
+   * @returns {Array} [{ start, end }] in seconds
+   */
+  getJourneyVisits(keyframes) {
+    const visits = [];
+    let current = null;
+    
+    keyframes.forEach(keyframe => {
+      if (keyframe.volume > 0 && !current) {
+        current = { start: keyframe.time, end: keyframe.time };
+        visits.push(current);
+      } else if (keyframe.volume > 0) {
+        current.end = keyframe.time;
+      } else if (current) {
+        current.end = keyframe.time;
+        current = null;
+      }
+    });
+    
+    return visits;
+  }
+  
+  // Effect factory methods
+  createLowpassFilter(parameters = {}, context = this.audioContext) {
+    const filter = context.createBiquadFilter();
+    filter.type = 'lowpass';
+    filter.frequency.value = parameters.lowpassFrequency || 20000;
+    filter.Q.value = parameters.Q || 1.0;
+    
+    return {
+      input: filter,
+      output: filter,
+      filter,
+      params: {
+        frequency: filter.frequency,
+        Q: filter.Q
+      }
+    };
+  }
+  
+  createHighpassFilter(parameters = {}, context = this.audioContext) {
+    const filter = context.createBiquadFilter();
+    filter.type = 'highpass';
+    filter.frequency.value = parameters.highpassFrequency || 20;
+    filter.Q.value = parameters.Q || 1.0;
+    
+    return {
+      input: filter,
+      output: filter,
+      filter,
+      params: {
+        frequency: filter.frequency,
+        Q: filter.Q
+      }
+    };
+  }
+  
+  createReverb(parameters = {}, context = this.audioContext) {
+    // Create nodes
+    const input = context.createGain();
+    const output = context.createGain();
+    const wetGain = context.createGain();
+    const dryGain = context.createGain();
+    
+    // Simple convolver-based reverb
+    const convolver = context.createConvolver();
+    
+    // Set mix levels
+    const mix = parameters.reverbMix || 0.3;
+    wetGain.gain.value = mix;
+    dryGain.gain.value = 1 - mix;
+    
+    // Connect topology
+    input.connect(dryGain);
+    input.connect(convolver);
+    convolver.connect(wetGain);
+    dryGain.connect(output);
+    wetGain.connect(output);
+    
+    // Generate impulse response (simplified)
+    const ready = this.generateReverbImpulse(parameters.reverbDecay || 2.0, context)
+      .then(buffer => {
+        convolver.buffer = buffer;
+      })
+      .catch(err => console.error('Error creating reverb:', err));
+    
+    return {
+      input,
+      output,
+      wetGain,
+      dryGain,
+      convolver,
+      ready,
+      params: {
+        wet: wetGain.gain,
+        dry: dryGain.gain
+      }
+    };
+  }
+  
+  createDelay(parameters = {}, context = this.audioContext) {
+    const input = context.createGain();
+    const output = context.createGain();
+    const delay = context.createDelay(5.0);
+    const feedback = context.createGain();
+    
+    delay.delayTime.value = parameters.delayTime || 0.3;
+    feedback.gain.value = parameters.delayFeedback || 0.3;
+    
+    input.connect(output);
+    input.connect(delay);
+    delay.connect(feedback);
+    feedback.connect(delay);
+    delay.connect(output);
+    
+    return {
+      input,
+      output,
+      delay,
+      feedback,
+      params: {
+        time: delay.delayTime,
+        feedback: feedback.gain
+      }
+    };
+  }
+  
+  createPitchShifter(parameters = {}, context = this.audioContext) {
+    // Without AudioWorklet support the shifter passes audio through unchanged
+    if (!this.workletContexts.has(context)) {
+      const passthrough = context.createGain();
+      
+      return {
+        input: passthrough,
+        output: passthrough,
+        semitones: null,
+        params: {}
+      };
+    }
+    
+    const shifter = new AudioWorkletNode(context, 'pitch-shifter', {
+      processorOptions: {
+        windowSize: parameters.pitchWindowSize || 0.08
+      }
+    });
+    
+    const semitones = shifter.parameters.get('semitones');
+    semitones.value = parameters.pitchAmount || 0;
+    
+    return {
+      input: shifter,
+      output: shifter,
+      shifter,
+      semitones,
+      params: {
+        semitones
+      }
+    };
+  }
+  
+  createSpatialAudio(parameters = {}, context = this.audioContext) {
+    const panner = context.createPanner();
+    panner.panningModel = 'HRTF';
+    panner.distanceModel = 'inverse';
+    panner.refDistance = parameters.refDistance || 10;
+    panner.rolloffFactor = parameters.rolloffFactor !== undefined ? parameters.rolloffFactor : 0.5;
+    panner.maxDistance = 10000;
+    
+    const effectNode = {
+      input: panner,
+      output: panner,
+      panner,
+      sourcePosition: parameters.sourcePosition || null,
+      pan: parameters.pan || 0,
+      params: {}
+    };
+    
+    this.positionSpatialSource(effectNode);
+    
+    return effectNode;
+  }
+  
+  /**
+   * Place a 3D source in the local frame
+   * Sources with a map position sit at that position, others are placed
+   * in front of the listener at an angle given by their pan value
+   * @param {Object} effectNode - Spatial audio effect node
+   */
+  positionSpatialSource(effectNode) {
+    const { x, z } = this.getSpatialCoordinates(effectNode);
+    this.setPannerPosition(effectNode.panner, x, z);
+  }
+  
+  getSpatialCoordinates(effectNode) {
+    if (effectNode.sourcePosition && this.spatialOrigin) {
+      const local = toLocalCoordinates(this.spatialOrigin, effectNode.sourcePosition);
+      
+      // North is -z in Web Audio coordinates
+      return { x: local.x, z: -local.y };
+    }
+    
+    const pan = Math.max(-1, Math.min(1, effectNode.pan));
+    
+    return {
+      x: this.listenerPosition.x + pan,
+      z: -this.listenerPosition.y - Math.sqrt(1 - pan * pan)
     };
   }
   
-  createSpatialAudio(parameters = {}) {
-    const panner = this.audioContext.createStereoPanner();
-    panner.pan.value = parameters.pan || 0;
+  setPannerPosition(panner, x, z) {
+    if (panner.positionX) {
+      const now = panner.context.currentTime;
+      panner.positionX.setValueAtTime(x, now);
+      panner.positionY.setValueAtTime(0, now);
+      panner.positionZ.setValueAtTime(z, now);
+    } else {
+      panner.setPosition(x, 0, z);
+    }
+  }
+  
+  /**
+   * Move the audio listener to a new GPS position
+   * @param {Object} position - {lat, lng} coordinates
+   */
+  updateListenerPosition(position) {
+    const firstFix = !this.spatialOrigin;
+    
+    if (firstFix) {
+      this.spatialOrigin = { lat: position.lat, lng: position.lng };
+    }
+    
+    this.listenerPosition = toLocalCoordinates(this.spatialOrigin, position);
+    
+    // Sources created before the first fix can now be placed on the map, and
+    // sources placed by pan move along with the listener
+    this.effectNodes.forEach(effects => {
+      const spatialNode = effects.get('spatialAudio');
+      if (spatialNode && (firstFix || !spatialNode.sourcePosition)) {
+        this.positionSpatialSource(spatialNode);
+      }
+    });
+    
+    const listener = this.audioContext.listener;
+    const x = this.listenerPosition.x;
+    const z = -this.listenerPosition.y;
+    
+    if (listener.positionX) {
+      // Glide between fixes so movement does not cause zipper noise
+      const now = this.audioContext.currentTime;
+      listener.positionX.setTargetAtTime(x, now, 0.1);
+      listener.positionZ.setTargetAtTime(z, now, 0.1);
+    } else {
+      listener.setPosition(x, 0, z);
+    }
+  }
+  
+  /**
+   * Rotate the audio listener to face a compass heading
+   * @param {Number} heading - Degrees clockwise from north
+   */
+  setListenerHeading(heading) {
+    this.listenerHeading = heading;
+    
+    const listener = this.audioContext.listener;
+    const forwardX = Math.sin(heading * Math.PI / 180);
+    const forwardZ = -Math.cos(heading * Math.PI / 180);
+    
+    if (listener.forwardX) {
+      const now = this.audioContext.currentTime;
+      listener.forwardX.setTargetAtTime(forwardX, now, 0.05);
+      listener.forwardY.setTargetAtTime(0, now, 0.05);
+      listener.forwardZ.setTargetAtTime(forwardZ, now, 0.05);
+      listener.upX.setValueAtTime(0, now);
+      listener.upY.setValueAtTime(1, now);
+      listener.upZ.setValueAtTime(0, now);
+    } else {
+      listener.setOrientation(forwardX, 0, forwardZ, 0, 1, 0);
+    }
+  }
+  
+  /**
+   * Schedule the listener position along a recorded path (offline rendering)
+   * @param {AudioListener} listener - Listener of the offline context
+   * @param {Array} path - Recorded path points with timeSinceStart
+   */
+  automateListenerPath(listener, path) {
+    if (!listener.positionX) return;
+    
+    const origin = this.spatialOrigin || path[0];
+    
+    path.forEach((point, index) => {
+      const local = toLocalCoordinates(origin, point);
+      const time = point.timeSinceStart / 1000;
+      
+      if (index === 0) {
+        listener.positionX.setValueAtTime(local.x, time);
+        listener.positionZ.setValueAtTime(-local.y, time);
+      } else {
+        listener.positionX.linearRampToValueAtTime(local.x, time);
+        listener.positionZ.linearRampToValueAtTime(-local.y, time);
+      }
+    });
+  }
+  
+  /**
+   * Load the AudioWorklet processors into a context
+   * @param {BaseAudioContext} context - Context to load the worklets into
+   * @returns {Promise<Boolean>} Whether the worklets are available
+   */
+  async loadWorklets(context) {
+    if (this.workletContexts.has(context)) return true;
+    
+    if (!context.audioWorklet) {
+      console.warn('AudioWorklet is not supported, pitch shifting is disabled');
+      return false;
+    }
+    
+    try {
+      await context.audioWorklet.addModule(PITCH_SHIFTER_MODULE_URL);
+      this.workletContexts.add(context);
+      return true;
+    } catch (error) {
+      console.error('Error loading audio worklets:', error);
+      return false;
+    }
+  }
+  
+  // Generate a simple reverb impulse response
+  async generateReverbImpulse(duration = 2.0, context = this.audioContext) {
+    const sampleRate = context.sampleRate;
+    const length = sampleRate * duration;
+    const impulse = context.createBuffer(2, length, sampleRate);
+    
+    const leftChannel = impulse.getChannelData(0);
+    const rightChannel = impulse.getChannelData(1);
+    
+    // Fill with white noise with exponential decay
+    for (let i = 0; i < length; i++) {
+      const amplitude = Math.random() * 2 - 1;
+      const decay = Math.exp(-i / (sampleRate * duration / 6));
+      
+      leftChannel[i] = amplitude * decay;
+      rightChannel[i] = amplitude * decay;
+    }
+    
+    return impulse;
+  }
+  
+  /**
+   * Check whether an audio source describes a synthesized source
+   * @param {String|Array|Object} audioSource - URL, encodings or { type, parameters }
+   * @returns {Boolean} True for synthesized sources
+   */
+  isSynthSource(audioSource) {
+    return Boolean(audioSource) && typeof audioSource === 'object' && !Array.isArray(audioSource);
+  }
+  
+  /**
+   * Get the URL of the sample a synthesized source plays, if any (granular clouds)
+   * @param {Object} synth - Synthesized source
+   * @returns {String|null} Sample URL
+   */
+  getSampleUrl(synth) {
+    return (synth.parameters && synth.parameters.url) || null;
+  }
+  
+  /**
+   * Create a synthesized source; granular clouds load their sample first
+   * Granular clouds decode their sample in full, so samples above the streaming
+   * thresholds are refused; scrub long recordings through a shorter proxy file
+   * @param {Object} synth - { type, parameters } (see SYNTH_TYPES and the factories below)
+   * @param {BaseAudioContext} context - Context to create the source in
+   * @returns {Promise<Object>} Synth node, connected, started and stopped like a buffer source
+   */
+  async createSynthSource(synth, context = this.audioContext) {
+    const factory = this.synthFactories[synth.type];
+    
+    if (!factory) {
+      throw new Error(`Unknown synth type ${synth.type}`);
+    }
     
+    const parameters = { ...synth.parameters };
+    
+    if (synth.type === SYNTH_TYPES.GRANULAR) {
+      if (!parameters.url) {
+        throw new Error('Granular synth needs a sample url');
+      }
+      
+      if (await this.shouldStream(parameters.url)) {
+        throw new Error(`Sample ${parameters.url} is too large to decode for a granular synth, use a shorter proxy file`);
+      }
+      
+      parameters.buffer = await this.bufferCache.get(parameters.url);
+    }
+    
+    return factory(parameters, context);
+  }
+  
+  /**
+   * Wrap the nodes of a synthesized source so that playback code can treat
+   * it like a buffer source
+   * @param {AudioNode} output - Last node of the synth
+   * @param {Array} scheduledNodes - Oscillators and sources to start and stop with it
+   * @param {Object} params - AudioParams that automateParameter can ramp, by name
+   * @returns {Object} Synth node
+   */
+  createSynthNode(output, scheduledNodes, params) {
     return {
-      input: panner,
-      output: panner,
-      panner
+      synth: true,
+      output,
+      params,
+      values: {},
+      connect: destination => output.connect(destination),
+      disconnect: () => output.disconnect(),
+      start: (time = 0) => scheduledNodes.forEach(node => node.start(time)),
+      stop: (time = 0) => scheduledNodes.forEach(node => node.stop(time))
     };
   }
   
-  // Generate a simple reverb impulse response
-  async generateReverbImpulse(duration = 2.0) {
-    const sampleRate = this.audioContext.sampleRate;
-    const length = sampleRate * duration;
-    const impulse = this.audioContext.createBuffer(2, length, sampleRate);
+  // Synthesized source factory methods
+  createDroneSource(parameters = {}, context = this.audioContext) {
+    const voiceCount = parameters.voices || 3;
+    const detune = parameters.detune !== undefined ? parameters.detune : 8; // cents between voices
+    const swellDepth = parameters.swellDepth !== undefined ? parameters.swellDepth : 0.3;
     
-    const leftChannel = impulse.getChannelData(0);
-    const rightChannel = impulse.getChannelData(1);
+    // One frequency drives every voice
+    const frequency = context.createConstantSource();
+    frequency.offset.value = parameters.frequency || 110;
     
-    // Fill with white noise with exponential decay
-    for (let i = 0; i < length; i++) {
-      const amplitude = Math.random() * 2 - 1;
-      const decay = Math.exp(-i / (sampleRate * duration / 6));
+    const voiceGain = context.createGain();
+    voiceGain.gain.value = 1 / voiceCount;
+    
+    const voices = Array.from({ length: voiceCount }, (_, i) => {
+      const oscillator = context.createOscillator();
+      oscillator.type = parameters.waveform || 'sawtooth';
+      oscillator.frequency.value = 0;
+      oscillator.detune.value = (i - (voiceCount - 1) / 2) * detune;
+      frequency.connect(oscillator.frequency);
+      oscillator.connect(voiceGain);
       
-      leftChannel[i] = amplitude * decay;
-      rightChannel[i] = amplitude * decay;
+      return oscillator;
+    });
+    
+    // Slow swell of the level
+    const swell = context.createGain();
+    swell.gain.value = 1 - swellDepth / 2;
+    
+    const swellLfo = context.createOscillator();
+    swellLfo.frequency.value = parameters.swellRate || 0.05;
+    
+    const swellAmount = context.createGain();
+    swellAmount.gain.value = swellDepth / 2;
+    swellLfo.connect(swellAmount);
+    swellAmount.connect(swell.gain);
+    
+    const filter = context.createBiquadFilter();
+    filter.type = 'lowpass';
+    filter.frequency.value = parameters.cutoff || 1200;
+    filter.Q.value = parameters.resonance || 0.7;
+    
+    const output = context.createGain();
+    output.gain.value = parameters.level !== undefined ? parameters.level : 0.3;
+    
+    voiceGain.connect(swell);
+    swell.connect(filter);
+    filter.connect(output);
+    
+    return this.createSynthNode(output, [frequency, swellLfo, ...voices], {
+      frequency: frequency.offset,
+      cutoff: filter.frequency,
+      resonance: filter.Q,
+      swellRate: swellLfo.frequency,
+      level: output.gain
+    });
+  }
+  
+  createNoiseSource(parameters = {}, context = this.audioContext) {
+    const noise = context.createBufferSource();
+    noise.buffer = this.generateNoiseBuffer(parameters.color || 'pink', 5, context);
+    noise.loop = true;
+    
+    const filter = context.createBiquadFilter();
+    filter.type = parameters.filterType || 'lowpass';
+    filter.frequency.value = parameters.cutoff || 2000;
+    filter.Q.value = parameters.resonance || 1.0;
+    
+    // Slow sweep of the filter, in octaves either side of the cutoff
+    const sweepLfo = context.createOscillator();
+    sweepLfo.frequency.value = parameters.sweepRate || 0.03;
+    
+    const sweepAmount = context.createGain();
+    sweepAmount.gain.value = (parameters.sweepDepth !== undefined ? parameters.sweepDepth : 1) * 1200;
+    sweepLfo.connect(sweepAmount);
+    sweepAmount.connect(filter.detune);
+    
+    const output = context.createGain();
+    output.gain.value = parameters.level !== undefined ? parameters.level : 0.3;
+    
+    noise.connect(filter);
+    filter.connect(output);
+    
+    return this.createSynthNode(output, [noise, sweepLfo], {
+      cutoff: filter.frequency,
+      resonance: filter.Q,
+      sweepRate: sweepLfo.frequency,
+      level: output.gain
+    });
+  }
+  
+  createFmSource(parameters = {}, context = this.audioContext) {
+    const indexDepth = parameters.indexDepth !== undefined ? parameters.indexDepth : 1;
+    
+    // Carrier frequency, and the modulator frequency as a ratio of it
+    const frequency = context.createConstantSource();
+    frequency.offset.value = parameters.frequency || 220;
+    
+    const ratio = context.createGain();
+    ratio.gain.value = parameters.ratio || 2;
+    frequency.connect(ratio);
+    
+    const carrier = context.createOscillator();
+    carrier.frequency.value = 0;
+    frequency.connect(carrier.frequency);
+    
+    const modulator = context.createOscillator();
+    modulator.frequency.value = 0;
+    ratio.connect(modulator.frequency);
+    
+    // Modulation depth in Hz is the index times the modulator frequency
+    const index = context.createGain();
+    index.gain.value = parameters.index !== undefined ? parameters.index : 2;
+    ratio.connect(index);
+    
+    const depth = context.createGain();
+    depth.gain.value = 0;
+    index.connect(depth.gain);
+    modulator.connect(depth);
+    depth.connect(carrier.frequency);
+    
+    // Slow drift of the index, which changes the brightness of the tone
+    const indexLfo = context.createOscillator();
+    indexLfo.frequency.value = parameters.indexRate || 0.1;
+    
+    const indexAmount = context.createGain();
+    indexAmount.gain.value = indexDepth;
+    indexLfo.connect(indexAmount);
+    indexAmount.connect(index.gain);
+    
+    const output = context.createGain();
+    output.gain.value = parameters.level !== undefined ? parameters.level : 0.2;
+    carrier.connect(output);
+    
+    return this.createSynthNode(output, [frequency, carrier, modulator, indexLfo], {
+      frequency: frequency.offset,
+      ratio: ratio.gain,
+      index: index.gain,
+      indexRate: indexLfo.frequency,
+      indexDepth: indexAmount.gain,
+      level: output.gain
+    });
+  }
+  
+  /**
+   * Granular cloud: short, windowed grains read around a position in the sample
+   * Grains are scheduled just ahead of time on a timer; in an offline context
+   * they are all scheduled when the stop time is known
+   * @param {Object} parameters - Grain settings and the decoded sample (buffer)
+   * @param {BaseAudioContext} context - Context to create the grains in
+   * @returns {Object} Synth node
+   */
+  createGranularSource(parameters = {}, context = this.audioContext) {
+    const buffer = parameters.buffer;
+    const offline = context instanceof OfflineAudioContext;
+    
+    const output = context.createGain();
+    output.gain.value = parameters.level !== undefined ? parameters.level : 0.5;
+    
+    const synthNode = this.createSynthNode(output, [], { level: output.gain });
+    
+    // Grain settings, read as each grain is scheduled
+    const values = synthNode.values;
+    values.position = parameters.position !== undefined ? parameters.position : 0.5; // 0-1 through the sample
+    values.spray = parameters.spray !== undefined ? parameters.spray : 0.05;         // seconds of random offset
+    values.grainSize = parameters.grainSize || 0.1;                                  // seconds
+    values.density = parameters.density || 20;                                       // grains per second
+    values.pitch = parameters.pitch || 0;                                            // semitones
+    values.pitchSpread = parameters.pitchSpread || 0;                                // semitones of random pitch
+    values.stereoSpread = parameters.stereoSpread !== undefined ? parameters.stereoSpread : 0.5;
+    values.scanRate = parameters.scanRate || 0;                                      // position drift, sample seconds per second
+    values.glide = parameters.glide || 0;                                            // seconds to follow a new position
+    
+    // Hann window shared by every grain
+    const envelope = new Float32Array(64);
+    for (let i = 0; i < envelope.length; i++) {
+      envelope[i] = 0.5 - 0.5 * Math.cos((2 * Math.PI * i) / (envelope.length - 1));
     }
     
-    return impulse;
+    const cloud = { nextGrainTime: 0, playhead: values.position, scan: 0, stopTime: Infinity, timer: null };
+    
+    const playGrain = time => {
+      const rate = Math.pow(2, (values.pitch + (Math.random() * 2 - 1) * values.pitchSpread) / 12);
+      const center = cloud.playhead * buffer.duration + cloud.scan + (Math.random() * 2 - 1) * values.spray;
+      const length = values.grainSize * rate;
+      const offset = ((center - length / 2) % buffer.duration + buffer.duration) % buffer.duration;
+      
+      const grain = context.createBufferSource();
+      grain.buffer = buffer;
+      grain.playbackRate.value = rate;
+      
+      const grainGain = context.createGain();
+      grainGain.gain.value = 0;
+      grainGain.gain.setValueCurveAtTime(envelope, time, values.grainSize);
+      
+      const panner = context.createStereoPanner();
+      panner.pan.value = (Math.random() * 2 - 1) * values.stereoSpread;
+      
+      grain.connect(grainGain);
+      grainGain.connect(panner);
+      panner.connect(output);
+      grain.start(time, offset, Math.min(length, buffer.duration - offset));
+    };
+    
+    const scheduleGrains = until => {
+      const end = Math.min(until, cloud.stopTime);
+      
+      // After a throttled timer or a suspended context, skip the grains that are already
+      // late instead of starting them all at once
+      if (cloud.nextGrainTime < context.currentTime) {
+        cloud.scan += values.scanRate * (context.currentTime - cloud.nextGrainTime);
+        cloud.nextGrainTime = context.currentTime;
+      }
+      
+      while (cloud.nextGrainTime < end) {
+        playGrain(cloud.nextGrainTime);
+        
+        // Jitter the spacing so grains do not fuse into a buzz at the grain rate
+        const interval = (1 / values.density) * (0.75 + Math.random() * 0.5);
+        cloud.nextGrainTime += interval;
+        cloud.scan += values.scanRate * interval;
+        
+        // Glide towards the position, so it can be moved in steps without jumps
+        const follow = values.glide > 0 ? 1 - Math.exp(-interval / values.glide) : 1;
+        cloud.playhead += (values.position - cloud.playhead) * follow;
+      }
+    };
+    
+    synthNode.start = (time = 0) => {
+      cloud.nextGrainTime = Math.max(time, context.currentTime);
+      if (offline) return;
+      
+      scheduleGrains(context.currentTime + GRAIN_LOOKAHEAD);
+      cloud.timer = setInterval(
+        () => scheduleGrains(context.currentTime + GRAIN_LOOKAHEAD),
+        GRAIN_SCHEDULE_INTERVAL * 1000
+      );
+    };
+    
+    synthNode.stop = (time = 0) => {
+      cloud.stopTime = Math.max(time, context.currentTime);
+      
+      if (offline) {
+        scheduleGrains(cloud.stopTime);
+      } else {
+        clearInterval(cloud.timer);
+        cloud.timer = null;
+      }
+    };
+    
+    return synthNode;
+  }
+  
+  /**
+   * Generate a stereo noise buffer to loop
+   * @param {String} color - 'white', 'pink' or 'brown'
+   * @param {Number} duration - Buffer duration in seconds
+   * @param {BaseAudioContext} context - Context to create the buffer in
+   * @returns {AudioBuffer} Noise with peaks around 1
+   */
+  generateNoiseBuffer(color = 'white', duration = 5, context = this.audioContext) {
+    const sampleRate = context.sampleRate;
+    const length = Math.ceil(sampleRate * duration);
+    const buffer = context.createBuffer(2, length, sampleRate);
+    
+    for (let channel = 0; channel < 2; channel++) {
+      const data = buffer.getChannelData(channel);
+      let b0 = 0, b1 = 0, b2 = 0, b3 = 0, b4 = 0, b5 = 0, b6 = 0;
+      let brown = 0;
+      
+      for (let i = 0; i < length; i++) {
+        const white = Math.random() * 2 - 1;
+        
+        if (color === 'pink') {
+          // Paul Kellet's pink noise filter
+          b0 = 0.99886 * b0 + white * 0.0555179;
+          b1 = 0.99332 * b1 + white * 0.0750759;
+          b2 = 0.96900 * b2 + white * 0.1538520;
+          b3 = 0.86650 * b3 + white * 0.3104856;
+          b4 = 0.55000 * b4 + white * 0.5329522;
+          b5 = -0.7616 * b5 - white * 0.0168980;
+          data[i] = (b0 + b1 + b2 + b3 + b4 + b5 + b6 + white * 0.5362) * 0.11;
+          b6 = white * 0.115926;
+        } else if (color === 'brown') {
+          // Leaky integration of white noise
+          brown = (brown + 0.02 * white) / 1.02;
+          data[i] = brown * 3.5;
+        } else {
+          data[i] = white;
+        }
+      }
+    }
+    
+    return buffer;
   }
   
   // Get all currently active audio sources
@@ -413,6 +2613,9 @@ class EnhancedAudioService {
     const activeAudio = [];
     
     this.sources.forEach((source, id) => {
+      // Old audio crossfading out under a generated id is not a region of its own
+      if (this.replacedSources.has(id)) return;
+      
       const gainNode = this.gainNodes.get(id);
       const currentVolume = gainNode ? gainNode.gain.value : 0;
       
@@ -426,9 +2629,412 @@ class EnhancedAudioService {
     return activeAudio;
   }
   
+  createAnalyser() {
+    const analyser = this.audioContext.createAnalyser();
+    analyser.fftSize = 2048;
+    analyser.smoothingTimeConstant = 0.6;
+    return analyser;
+  }
+  
+  /**
+   * Measure an analyser's current peak and RMS level, and optionally its spectrum
+   * @param {AnalyserNode} analyser - Analyser to read
+   * @param {Number} bandCount - Number of logarithmically spaced FFT bands (0 for none)
+   * @returns {Object} { peak, rms, bands } with levels in dBFS
+   */
+  measureAnalyser(analyser, bandCount = 0) {
+    const samples = new Float32Array(analyser.fftSize);
+    analyser.getFloatTimeDomainData(samples);
+    
+    let peak = 0;
+    let sumSquares = 0;
+    
+    for (let i = 0; i < samples.length; i++) {
+      peak = Math.max(peak, Math.abs(samples[i]));
+      sumSquares += samples[i] * samples[i];
+    }
+    
+    const levels = {
+      peak: 20 * Math.log10(peak),
+      rms: 10 * Math.log10(sumSquares / samples.length)
+    };
+    
+    if (bandCount > 0) {
+      levels.bands = this.getSpectrumBands(analyser, bandCount);
+    }
+    
+    return levels;
+  }
+  
+  /**
+   * Group an analyser's FFT bins into bands spaced evenly in octaves from 20 Hz
+   * to Nyquist
+   * @param {AnalyserNode} analyser - Analyser to read
+   * @param {Number} bandCount - Number of bands
+   * @returns {Array} [{ frequency, level }] with the band's centre frequency and average level in dB
+   */
+  getSpectrumBands(analyser, bandCount) {
+    const spectrum = new Float32Array(analyser.frequencyBinCount);
+    analyser.getFloatFrequencyData(spectrum);
+    
+    const nyquist = this.audioContext.sampleRate / 2;
+    const binWidth = nyquist / spectrum.length;
+    const ratio = Math.pow(nyquist / 20, 1 / bandCount);
+    const bands = [];
+    
+    for (let band = 0; band < bandCount; band++) {
+      const low = 20 * Math.pow(ratio, band);
+      const high = low * ratio;
+      const firstBin = Math.floor(low / binWidth);
+      const lastBin = Math.max(firstBin, Math.min(spectrum.length - 1, Math.ceil(high / binWidth) - 1));
+      
+      // Average power, not decibels, across the bins of the band
+      let power = 0;
+      for (let bin = firstBin; bin <= lastBin; bin++) {
+        power += Math.pow(10, spectrum[bin] / 10);
+      }
+      
+      bands.push({
+        frequency: Math.sqrt(low * high),
+        level: 10 * Math.log10(power / (lastBin - firstBin + 1))
+      });
+    }
+    
+    return bands;
+  }
+  
+  /**
+   * Get the current levels of the master output and every playing source
+   * @param {Object} options - { bands: number of FFT bands per meter (default none) }
+   * @returns {Object} { master: { peak, rms, bands }, sources: { id: { peak, rms, bands } } }
+   */
+  getLevels(options = {}) {
+    const bandCount = options.bands || 0;
+    const sources = {};
+    
+    this.analysers.forEach((analyser, id) => {
+      sources[id] = this.measureAnalyser(analyser, bandCount);
+    });
+    
+    return {
+      master: this.measureAnalyser(this.masterAnalyser, bandCount),
+      sources
+    };
+  }
+  
+  /**
+   * Start dispatching 'audio-meter-update' events with the current levels
+   * @param {Object} options - { interval: ms between updates, bands: FFT bands per meter }
+   */
+  startMetering(options = {}) {
+    const { interval = 100, bands = 0 } = options;
+    
+    this.stopMetering();
+    
+    this.meterTimer = setInterval(() => {
+      window.dispatchEvent(new CustomEvent('audio-meter-update', {
+        detail: {
+          timestamp: Date.now(),
+          ...this.getLevels({ bands })
+        }
+      }));
+    }, interval);
+  }
+  
+  /**
+   * Stop dispatching meter events
+   */
+  stopMetering() {
+    if (this.meterTimer) {
+      clearInterval(this.meterTimer);
+      this.meterTimer = null;
+    }
+  }
+  
+  /**
+   * Load audio into the buffer cache ahead of playback
+   * @param {String|Array|Object} audioSource - URL to audio file, [{ url, type }] encodings,
+   *   or a synthesized source
+   * @returns {Promise<Boolean>} Whether the audio was loaded
+   */
+  async preloadAudio(audioSource) {
+    // Only granular clouds have a sample to load, and they cannot stream it
+    if (this.isSynthSource(audioSource)) {
+      const url = this.getSampleUrl(audioSource);
+      if (!url) return true;
+      if (await this.shouldStream(url)) return false;
+      
+      return this.bufferCache.prefetch(url);
+    }
+    
+    const [best] = await this.getPlayableEncodings(audioSource);
+    if (!best) return false;
+    
+    // Streamed files are loaded by their media element when played
+    if (await this.shouldStream(best.url)) return true;
+    
+    return this.bufferCache.prefetch(best.url);
+  }
+  
+  // Check whether any encoding of the audio is cached, currently loading or streamed
+  isAudioCached(audioSource) {
+    if (this.isSynthSource(audioSource)) {
+      const url = audioSource.parameters && audioSource.parameters.url;
+      return !url || this.bufferCache.has(url);
+    }
+    
+    const urls = typeof audioSource === 'string'
+      ? [audioSource]
+      : audioSource.map(encoding => encoding.url);
+    
+    return urls.some(url => this.bufferCache.has(url) || this.streamingDecisions.get(url) === true);
+  }
+  
+  // Get buffer cache hit/miss and memory statistics
+  getCacheStats() {
+    return this.bufferCache.getStats();
+  }
+  
+  // Set the memory budget for decoded audio buffers
+  setCacheBudget(maxBytes) {
+    this.bufferCache.setMaxBytes(maxBytes);
+  }
+  
+  /**
+   * Create the master bus, master volume and output meter of the current context
+   * @param {Number} masterVolume - Initial master volume
+   */
+  createOutputGraph(masterVolume = 1) {
+    this.masterBus = this.createMasterBus(this.masterBusSettings);
+    this.masterGain = this.audioContext.createGain();
+    this.masterGain.gain.value = masterVolume;
+    this.masterBus.output.connect(this.masterGain);
+    this.masterGain.connect(this.audioContext.destination);
+    
+    // Meter what the listener hears
+    this.masterAnalyser = this.createAnalyser();
+    this.masterGain.connect(this.masterAnalyser);
+  }
+  
+  /**
+   * Start audio from a user gesture ("Tap to enable audio")
+   * @returns {Promise<Boolean>} Whether audio is running
+   */
+  unlock() {
+    return this.lifecycle.unlock();
+  }
+  
+  /**
+   * Get the state of the audio context
+   * @returns {Object} { state, locked, background }; locked means a user gesture is needed
+   */
+  getContextState() {
+    return this.lifecycle.getState();
+  }
+  
+  /**
+   * Replace a closed audio context with a new one, rebuild the output graph
+   * and restart the sources that were playing at their current volume
+   * @returns {Promise<Boolean>} Whether the new context was created
+   */
+  async rebuildAudioGraph() {
+    const playing = Array.from(this.sources.keys())
+      .filter(id => !this.pendingStops.has(id) && this.playbackSettings.has(id))
+      .map(id => ({
+        id,
+        volume: this.gainNodes.get(id).gain.value,
+        ...this.playbackSettings.get(id)
+      }));
+    
+    // Release the dead nodes, keeping each source's position for resume
+    Array.from(this.sources.keys()).forEach(id => {
+      this.cancelStop(id);
+      this.disposeSource(id);
+    });
+    
+    const masterVolume = this.masterGain.gain.value;
+    
+    try {
+      this.audioContext = createAudioContext();
+    } catch (error) {
+      console.error('Error creating audio context:', error);
+      return false;
+    }
+    
+    this.bufferCache.setContext(this.audioContext);
+    this.createOutputGraph(masterVolume);
+    
+    // Media elements stay connected to the old context's source nodes
+    this.mediaElementPool = [];
+    this.mediaElementSources = new WeakMap();
+    this.workletsReady = this.loadWorklets(this.audioContext);
+    
+    // Put the listener back where it was, facing the way it was
+    const listener = this.audioContext.listener;
+    if (listener.positionX) {
+      listener.positionX.value = this.listenerPosition.x;
+      listener.positionZ.value = -this.listenerPosition.y;
+    } else {
+      listener.setPosition(this.listenerPosition.x, 0, -this.listenerPosition.y);
+    }
+    
+    if (this.listenerHeading !== null) {
+      this.setListenerHeading(this.listenerHeading);
+    }
+    
+    this.lifecycle.attach(this.audioContext);
+    
+    await Promise.all(playing.map(({ id, url, synth, settings, volume }) => (
+      this.playAudio(id, synth || url, { ...settings, volume })
+    )));
+    
+    return true;
+  }
+  
   // Set master volume
   setMasterVolume(volume) {
-    this.masterGain.gain.setValueAtTime(volume, this.audioContext.currentTime);
+    rampParameter(this.masterGain.gain, volume, DEFAULT_RAMP_TIME, this.audioContext);
+  }
+  
+  /**
+   * Create the master processing chain: EQ, compressor, and a soft limiter
+   * followed by a hard clipper at the ceiling, with a parallel dry path for bypass
+   * @param {Object} settings - Master bus settings
+   * @param {BaseAudioContext} context - Context to create the nodes in
+   * @returns {Object} Master bus with input and output nodes
+   */
+  createMasterBus(settings, context = this.audioContext) {
+    const bus = {
+      input: context.createGain(),
+      output: context.createGain(),
+      lowShelf: context.createBiquadFilter(),
+      mid: context.createBiquadFilter(),
+      highShelf: context.createBiquadFilter(),
+      compressor: context.createDynamicsCompressor(),
+      limiter: context.createDynamicsCompressor(),
+      clipper: context.createWaveShaper(),
+      processedGain: context.createGain(),
+      bypassGain: context.createGain()
+    };
+    
+    bus.lowShelf.type = 'lowshelf';
+    bus.mid.type = 'peaking';
+    bus.highShelf.type = 'highshelf';
+    bus.clipper.oversample = '4x';
+    
+    bus.input.connect(bus.lowShelf);
+    bus.lowShelf.connect(bus.mid);
+    bus.mid.connect(bus.highShelf);
+    bus.highShelf.connect(bus.compressor);
+    bus.compressor.connect(bus.limiter);
+    bus.limiter.connect(bus.clipper);
+    bus.clipper.connect(bus.processedGain);
+    bus.processedGain.connect(bus.output);
+    
+    bus.input.connect(bus.bypassGain);
+    bus.bypassGain.connect(bus.output);
+    
+    this.configureMasterBus(bus, settings, 0, context);
+    
+    return bus;
+  }
+  
+  /**
+   * Apply settings to a master bus
+   * @param {Object} bus - Master bus from createMasterBus
+   * @param {Object} settings - Master bus settings
+   * @param {Number} rampTime - Ramp time in seconds
+   * @param {BaseAudioContext} context - Context the bus belongs to
+   */
+  configureMasterBus(bus, settings, rampTime = DEFAULT_RAMP_TIME, context = this.audioContext) {
+    const { eq, compressor, limiter } = settings;
+    const ramp = (param, value) => rampParameter(param, value, rampTime, context);
+    
+    ramp(bus.lowShelf.frequency, eq.lowFrequency);
+    ramp(bus.lowShelf.gain, eq.lowGain);
+    ramp(bus.mid.frequency, eq.midFrequency);
+    ramp(bus.mid.gain, eq.midGain);
+    ramp(bus.mid.Q, eq.midQ);
+    ramp(bus.highShelf.frequency, eq.highFrequency);
+    ramp(bus.highShelf.gain, eq.highGain);
+    
+    ramp(bus.compressor.threshold, compressor.threshold);
+    ramp(bus.compressor.knee, compressor.knee);
+    ramp(bus.compressor.ratio, compressor.ratio);
+    ramp(bus.compressor.attack, compressor.attack);
+    ramp(bus.compressor.release, compressor.release);
+    
+    // A hard knee, maximum ratio and instant attack make the compressor a soft
+    // limiter; it has no lookahead and adds makeup gain, so peaks still overshoot
+    ramp(bus.limiter.threshold, limiter.ceiling);
+    ramp(bus.limiter.knee, 0);
+    ramp(bus.limiter.ratio, 20);
+    ramp(bus.limiter.attack, 0);
+    ramp(bus.limiter.release, limiter.release);
+    
+    // The clipper after it holds the ceiling for the peaks that get through
+    if (bus.clipperCeiling !== limiter.ceiling) {
+      bus.clipper.curve = this.createClipperCurve(limiter.ceiling);
+      bus.clipperCeiling = limiter.ceiling;
+    }
+    
+    // Crossfade between the processed and dry paths
+    const bypassTime = rampTime > 0 ? EFFECT_CROSSFADE_TIME : 0;
+    rampParameter(bus.processedGain.gain, settings.bypass ? 0 : 1, bypassTime, context);
+    rampParameter(bus.bypassGain.gain, settings.bypass ? 1 : 0, bypassTime, context);
+  }
+  
+  /**
+   * Create a wave shaper curve that passes samples unchanged up to a ceiling
+   * and clips them there
+   * @param {Number} ceiling - Ceiling in dBFS
+   * @returns {Float32Array} Wave shaper curve over the input range -1 to 1
+   */
+  createClipperCurve(ceiling) {
+    const length = 4097;
+    const limit = Math.pow(10, Math.min(0, ceiling) / 20);
+    const curve = new Float32Array(length);
+    
+    for (let i = 0; i < length; i++) {
+      const x = (i / (length - 1)) * 2 - 1;
+      curve[i] = Math.max(-limit, Math.min(limit, x));
+    }
+    
+    return curve;
+  }
+  
+  /**
+   * Change the master bus settings, e.g. from the composition settings
+   * @param {Object} settings - Partial master bus settings
+   */
+  setMasterBusSettings(settings) {
+    this.masterBusSettings = this.mergeMasterBusSettings(this.masterBusSettings, settings);
+    this.configureMasterBus(this.masterBus, this.masterBusSettings);
+  }
+  
+  /**
+   * Switch master processing off or on
+   * @param {Boolean} bypass - True to bypass EQ, compressor and limiter
+   */
+  setMasterBusBypass(bypass) {
+    this.setMasterBusSettings({ bypass });
+  }
+  
+  /**
+   * Get the current master bus settings
+   * @returns {Object} Master bus settings
+   */
+  getMasterBusSettings() {
+    return this.mergeMasterBusSettings(this.masterBusSettings);
+  }
+  
+  mergeMasterBusSettings(base, changes = {}) {
+    return {
+      bypass: changes.bypass !== undefined ? changes.bypass : base.bypass,
+      eq: { ...base.eq, ...changes.eq },
+      compressor: { ...base.compressor, ...changes.compressor },
+      limiter: { ...base.limiter, ...changes.limiter }
+    };
   }
 }
 
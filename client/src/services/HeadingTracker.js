@@ -0,0 +1,188 @@
+import { calculateBearing, calculateDistance } from './MapUtils';
+
+/**
+ * Heading Tracker
+ * Reads the device compass heading and rotates the audio listener so that
+ * spatial sources stay fixed in the world when the listener turns.
+ * Falls back to the course over ground derived from the recorded path
+ * when no compass is available.
+ */
+class HeadingTracker {
+  /**
+   * @param {EnhancedAudioService} audioService - Audio service to rotate the listener of
+   * @param {PathRecorderService} pathRecorderService - Source of path points for the course fallback
+   * @param {Object} options - Tracker options
+   * @param {Number} options.calibrationOffset - Degrees added to compass headings (composition setting)
+   */
+  constructor(audioService, pathRecorderService, options = {}) {
+    this.audioService = audioService;
+    this.pathRecorderService = pathRecorderService;
+    this.heading = null;
+    this.headingSource = null; // 'compass' or 'course'
+    this.calibrationOffset = options.calibrationOffset || 0;
+    this.lastCompassUpdate = 0;
+    this.isTracking = false;
+    this.orientationEvent = null;
+    
+    // Settings
+    this.settings = {
+      smoothing: 0.2,         // 0-1, fraction of each change applied per reading
+      compassTimeout: 3000,   // ms without compass readings before using the course
+      minCourseDistance: 3    // minimum meters between points to derive a course
+    };
+    
+    // Bind methods
+    this.handleOrientation = this.handleOrientation.bind(this);
+    this.handlePositionUpdate = this.handlePositionUpdate.bind(this);
+  }
+  
+  /**
+   * Ask for permission to read device orientation
+   * iOS requires this to be called from a user gesture
+   * @returns {Promise<String>} 'granted', 'denied' or 'unsupported'
+   */
+  async requestPermission() {
+    if (typeof DeviceOrientationEvent === 'undefined') {
+      return 'unsupported';
+    }
+    
+    if (typeof DeviceOrientationEvent.requestPermission !== 'function') {
+      return 'granted';
+    }
+    
+    try {
+      return await DeviceOrientationEvent.requestPermission();
+    } catch (error) {
+      console.error('Error requesting device orientation permission:', error);
+      return 'denied';
+    }
+  }
+  
+  /**
+   * Start tracking the listener's heading
+   * @returns {Promise<String>} Compass permission state
+   */
+  async start() {
+    if (this.isTracking) return 'granted';
+    
+    const permission = await this.requestPermission();
+    
+    if (permission === 'granted') {
+      // Prefer absolute (north-referenced) orientation where the browser offers it
+      this.orientationEvent = 'ondeviceorientationabsolute' in window
+        ? 'deviceorientationabsolute'
+        : 'deviceorientation';
+      
+      window.addEventListener(this.orientationEvent, this.handleOrientation);
+    } else {
+      window.dispatchEvent(new CustomEvent('listener-heading-error', {
+        detail: {
+          error: 'Compass unavailable. Direction will be estimated from your movement.'
+        }
+      }));
+    }
+    
+    // The course fallback is always listening in case the compass goes quiet
+    window.addEventListener('path-position-updated', this.handlePositionUpdate);
+    this.isTracking = true;
+    
+    return permission;
+  }
+  
+  /**
+   * Stop tracking the listener's heading
+   */
+  stop() {
+    if (this.orientationEvent) {
+      window.removeEventListener(this.orientationEvent, this.handleOrientation);
+      this.orientationEvent = null;
+    }
+    
+    window.removeEventListener('path-position-updated', this.handlePositionUpdate);
+    this.isTracking = false;
+  }
+  
+  /**
+   * Set the calibration offset from the composition settings
+   * @param {Number} offset - Offset in degrees
+   */
+  setCalibrationOffset(offset) {
+    this.calibrationOffset = offset || 0;
+  }
+  
+  /**
+   * Handle a device orientation reading
+   * @param {DeviceOrientationEvent} event - Orientation event
+   */
+  handleOrientation(event) {
+    let heading = null;
+    
+    if (typeof event.webkitCompassHeading === 'number') {
+      // iOS reports degrees clockwise from magnetic north
+      heading = event.webkitCompassHeading;
+    } else if (event.absolute && event.alpha !== null) {
+      // alpha is counter-clockwise, and relative to the screen orientation
+      const screenAngle = (window.screen.orientation && window.screen.orientation.angle) || 0;
+      heading = 360 - event.alpha + screenAngle;
+    }
+    
+    // Relative orientation cannot be tied to the map
+    if (heading === null) return;
+    
+    this.lastCompassUpdate = Date.now();
+    this.updateHeading(heading, 'compass');
+  }
+  
+  /**
+   * Derive the heading from the course over ground when the compass is silent
+   */
+  handlePositionUpdate() {
+    if (Date.now() - this.lastCompassUpdate < this.settings.compassTimeout) return;
+    
+    const path = this.pathRecorderService.recentPath;
+    if (path.length < 2) return;
+    
+    const last = path[path.length - 1];
+    const previous = path[path.length - 2];
+    
+    if (calculateDistance(previous, last) < this.settings.minCourseDistance) return;
+    
+    this.updateHeading(calculateBearing(previous, last), 'course');
+  }
+  
+  /**
+   * Smooth, calibrate and apply a new heading reading
+   * The calibration offset corrects the magnetometer, so it only applies to
+   * compass readings; the course over ground is already relative to true north
+   * @param {Number} rawHeading - Heading in degrees clockwise from north
+   * @param {String} source - 'compass' or 'course'
+   */
+  updateHeading(rawHeading, source) {
+    const offset = source === 'compass' ? this.calibrationOffset : 0;
+    const target = this.normalizeAngle(rawHeading + offset);
+    
+    if (this.heading === null || source !== this.headingSource) {
+      this.heading = target;
+    } else {
+      // Smooth along the shortest way around the circle
+      const difference = ((target - this.heading + 540) % 360) - 180;
+      this.heading = this.normalizeAngle(this.heading + difference * this.settings.smoothing);
+    }
+    
+    this.headingSource = source;
+    this.audioService.setListenerHeading(this.heading);
+    
+    window.dispatchEvent(new CustomEvent('listener-heading-updated', {
+      detail: {
+        heading: this.heading,
+        source
+      }
+    }));
+  }
+  
+  normalizeAngle(angle) {
+    return ((angle % 360) + 360) % 360;
+  }
+}
+
+export default HeadingTracker;
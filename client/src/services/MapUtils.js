@@ -36,6 +36,78 @@ export function toRad(degrees) {
   return degrees * Math.PI / 180;
 }
 
+/**
+ * Convert radians to degrees
+ * @param {Number} radians - Angle in radians
+ * @returns {Number} Angle in degrees
+ */
+export function toDeg(radians) {
+  return radians * 180 / Math.PI;
+}
+
+/**
+ * Calculate the initial bearing from one coordinate to another
+ * @param {Object} point1 - {lat, lng} coordinates
+ * @param {Object} point2 - {lat, lng} coordinates
+ * @returns {Number} Bearing in degrees clockwise from north (0-360)
+ */
+export function calculateBearing(point1, point2) {
+  const lat1 = toRad(point1.lat);
+  const lat2 = toRad(point2.lat);
+  const dLon = toRad(point2.lng - point1.lng);
+  
+  const y = Math.sin(dLon) * Math.cos(lat2);
+  const x = Math.cos(lat1) * Math.sin(lat2) -
+    Math.sin(lat1) * Math.cos(lat2) * Math.cos(dLon);
+  
+  return (toDeg(Math.atan2(y, x)) + 360) % 360;
+}
+
+/**
+ * Calculate the coordinate reached by travelling a distance along a bearing
+ * @param {Object} point - {lat, lng} starting coordinates
+ * @param {Number} bearing - Bearing in degrees clockwise from north
+ * @param {Number} distance - Distance in meters
+ * @returns {Object} Destination as {lat, lng}
+ */
+export function calculateDestination(point, bearing, distance) {
+  const R = 6371000; // Earth's radius in meters
+  const angularDistance = distance / R;
+  const bearingRad = toRad(bearing);
+  const lat1 = toRad(point.lat);
+  const lng1 = toRad(point.lng);
+  
+  const lat2 = Math.asin(
+    Math.sin(lat1) * Math.cos(angularDistance) +
+    Math.cos(lat1) * Math.sin(angularDistance) * Math.cos(bearingRad)
+  );
+  const lng2 = lng1 + Math.atan2(
+    Math.sin(bearingRad) * Math.sin(angularDistance) * Math.cos(lat1),
+    Math.cos(angularDistance) - Math.sin(lat1) * Math.sin(lat2)
+  );
+  
+  return {
+    lat: toDeg(lat2),
+    lng: toDeg(lng2)
+  };
+}
+
+/**
+ * Project a coordinate into a local metric frame around an origin
+ * Uses an equirectangular approximation, accurate over installation-sized areas
+ * @param {Object} origin - {lat, lng} origin of the local frame
+ * @param {Object} point - {lat, lng} coordinates to project
+ * @returns {Object} {x, y} in meters, x pointing east and y pointing north
+ */
+export function toLocalCoordinates(origin, point) {
+  const R = 6371000; // Earth's radius in meters
+  
+  return {
+    x: toRad(point.lng - origin.lng) * R * Math.cos(toRad(origin.lat)),
+    y: toRad(point.lat - origin.lat) * R
+  };
+}
+
 /**
  * Calculate distance from point to line segment
  * @param {Number} x - Point x coordinate
@@ -81,6 +153,75 @@ export function distanceToLine(x, y, x1, y1, x2, y2) {
   return Math.sqrt(dx * dx + dy * dy) * 111000;
 }
 
+/**
+ * Project a coordinate onto a polyline, finding the nearest point on it
+ * @param {Object} point - {lat, lng} coordinates
+ * @param {Array} polyline - Array of at least two {lat, lng} coordinates
+ * @returns {Object} { distance, length, fraction, offset }: distance along the line
+ *   to the nearest point and total length in meters, their ratio (0-1), and the
+ *   distance from the line in meters
+ */
+export function projectOntoPolyline(point, polyline) {
+  const origin = polyline[0];
+  const p = toLocalCoordinates(origin, point);
+  const vertices = polyline.map(vertex => toLocalCoordinates(origin, vertex));
+  
+  let length = 0;
+  let nearest = { distance: 0, offset: Infinity };
+  
+  for (let i = 0; i < vertices.length - 1; i++) {
+    const a = vertices[i];
+    const b = vertices[i + 1];
+    const dx = b.x - a.x;
+    const dy = b.y - a.y;
+    const segmentLengthSq = dx * dx + dy * dy;
+    const segmentLength = Math.sqrt(segmentLengthSq);
+    
+    // Position along the segment, clamped to its ends
+    const t = segmentLengthSq > 0
+      ? Math.min(1, Math.max(0, ((p.x - a.x) * dx + (p.y - a.y) * dy) / segmentLengthSq))
+      : 0;
+    
+    const offset = Math.hypot(p.x - (a.x + t * dx), p.y - (a.y + t * dy));
+    
+    if (offset < nearest.offset) {
+      nearest = { distance: length + t * segmentLength, offset };
+    }
+    
+    length += segmentLength;
+  }
+  
+  return {
+    distance: nearest.distance,
+    length,
+    fraction: length > 0 ? nearest.distance / length : 0,
+    offset: nearest.offset
+  };
+}
+
+/**
+ * Find the longest line between two vertices of a polygon, a natural axis through it
+ * @param {Array} polygon - Array of {lat, lng} coordinates
+ * @returns {Array} The two vertices as [{lat, lng}, {lat, lng}]
+ */
+export function getPolygonAxis(polygon) {
+  let axis = [polygon[0], polygon[0]];
+  let maxDistance = -1;
+  
+  for (let i = 0; i < polygon.length; i++) {
+    for (let j = i + 1; j < polygon.length; j++) {
+      const distance = calculateDistance(polygon[i], polygon[j]);
+      
+      if (distance > maxDistance) {
+        maxDistance = distance;
+        axis = [polygon[i], polygon[j]];
+      }
+    }
+  }
+  
+  return axis;
+}
+
 /**
  * Calculate the center point of a polygon
  * @param {Array} points - Array of {lat, lng} coordinates
@@ -247,7 +388,13 @@ export function expandPolygon(polygon, distance) {
 export default {
   calculateDistance,
   toRad,
+  toDeg,
+  calculateBearing,
+  calculateDestination,
+  toLocalCoordinates,
   distanceToLine,
+  projectOntoPolyline,
+  getPolygonAxis,
   calculatePolygonCenter,
   isPointInPolygon,
   getDistanceToBoundaryEdge,
@@ -0,0 +1,241 @@
+import { getCurveValue, CURVE_SHAPES } from './AudioUtils';
+import { calculateBearing, calculateDistance, calculatePolygonCenter } from './MapUtils';
+
+/**
+ * Listener movement features that can modulate region parameters
+ */
+export const MOVEMENT_FEATURES = {
+  SPEED: 'speed',                         // m/s
+  HEADING: 'heading',                     // degrees clockwise from north
+  ACCELERATION: 'acceleration',           // m/s², change of speed
+  DISTANCE_TO_CENTER: 'distanceToCenter', // meters to the region's center
+  DISTANCE_TO_EDGE: 'distanceToEdge',     // meters to the region's edge, negative inside
+  ALTITUDE: 'altitude',                   // meters
+  TIME_INSIDE: 'timeInside'               // seconds since entering the region
+};
+
+/**
+ * A new mapping, e.g. walking faster opens up a lowpass filter
+ */
+export const DEFAULT_MODULATION = {
+  feature: MOVEMENT_FEATURES.SPEED,
+  target: 'lowpass.frequency', // any automateParameter target
+  inputRange: [0, 2],          // feature values mapped to the ends of the output range
+  outputRange: [500, 20000],
+  curve: CURVE_SHAPES.EXPONENTIAL,
+  smoothing: 1.0               // seconds for the feature to settle on a new value
+};
+
+/**
+ * Modulation Matrix
+ * Maps features of the listener's movement to effect parameters of the
+ * regions they hear. Each region stores its mappings with its transition
+ * settings ({ modulations: [...] }); they are evaluated on every position fix.
+ * Effects a mapping targets are inserted into the region's chain if needed;
+ * mappings that cannot apply to a region (e.g. a synth parameter of a file)
+ * are reported once.
+ */
+class ModulationMatrix {
+  constructor(audioService) {
+    this.audioService = audioService;
+    this.motion = null;               // { position, time, elapsed, speed, heading, acceleration }
+    this.courseAnchor = null;         // last fix the course over ground was derived from
+    this.smoothedValues = new Map();  // regionId => [{ value, time }] per mapping
+    this.unappliedTargets = new Set(); // 'regionId:target' of mappings already reported as not applying
+    
+    // Settings
+    this.settings = {
+      minCourseDistance: 3, // minimum meters between fixes to derive a heading
+      minRampTime: 0.05,    // seconds
+      maxRampTime: 1.0      // seconds; parameters glide to each new value until the next fix
+    };
+  }
+  
+  /**
+   * Derive speed, heading and acceleration from a new position fix
+   * Device-reported speed and heading are used when available
+   * @param {Object} position - { lat, lng, alt, speed, heading, timestamp }
+   */
+  updateMotion(position) {
+    const time = position.timestamp || Date.now();
+    const previous = this.motion;
+    const elapsed = previous ? (time - previous.time) / 1000 : 0;
+    
+    let speed = Number.isFinite(position.speed) ? position.speed : null;
+    let heading = Number.isFinite(position.heading) ? position.heading : null;
+    
+    if (speed === null && previous && elapsed > 0) {
+      speed = calculateDistance(previous.position, position) / elapsed;
+    }
+    
+    // Short moves are mostly GPS noise, so the course is taken over a few meters
+    if (!this.courseAnchor) {
+      this.courseAnchor = position;
+    } else if (calculateDistance(this.courseAnchor, position) >= this.settings.minCourseDistance) {
+      if (heading === null) {
+        heading = calculateBearing(this.courseAnchor, position);
+      }
+      
+      this.courseAnchor = position;
+    }
+    
+    if (heading === null && previous) {
+      heading = previous.heading;
+    }
+    
+    speed = speed || 0;
+    
+    this.motion = {
+      position,
+      time,
+      elapsed,
+      speed,
+      heading,
+      acceleration: previous && elapsed > 0 ? (speed - previous.speed) / elapsed : 0
+    };
+  }
+  
+  /**
+   * Apply a region's mappings to its playing source
+   * @param {Object} region - Region with polygon and transitionSettings.modulations
+   * @param {Object} presence - Region presence record (see RegionPresenceTracker)
+   * @param {Number} now - Timestamp of the position fix
+   * @param {Array} heldTargets - Targets a transition is driving, left alone this time
+   */
+  evaluate(region, presence, now, heldTargets = []) {
+    const mappings = region.transitionSettings.modulations || [];
+    
+    if (mappings.length === 0 || !this.motion || !this.audioService.isPlaying(region.id)) return;
+    
+    const { minRampTime, maxRampTime } = this.settings;
+    const rampTime = Math.min(maxRampTime, Math.max(minRampTime, this.motion.elapsed));
+    
+    mappings.forEach((modulation, index) => {
+      const mapping = { ...DEFAULT_MODULATION, ...modulation };
+      const input = this.getFeature(mapping.feature, region, presence, now);
+      
+      // Features the device cannot report (e.g. altitude) leave the parameter alone
+      if (input === null) return;
+      
+      // Smoothing runs on, so the mapping picks up where the feature is once the transition ends
+      const value = this.mapValue(mapping, this.smooth(region.id, index, mapping, input, now));
+      
+      if (heldTargets.includes(mapping.target)) return;
+      
+      if (!this.audioService.automateParameter(region.id, mapping.target, value, rampTime)) {
+        this.reportUnapplied(region.id, mapping.target);
+      }
+    });
+  }
+  
+  /**
+   * Warn once about a mapping whose target the region's source does not have
+   * @param {String} regionId - Region ID
+   * @param {String} target - automateParameter target
+   */
+  reportUnapplied(regionId, target) {
+    const key = `${regionId}:${target}`;
+    if (this.unappliedTargets.has(key)) return;
+    
+    this.unappliedTargets.add(key);
+    console.warn(`Movement mapping to ${target} has no effect on region ${regionId}`);
+  }
+  
+  /**
+   * Get the current value of a movement feature
+   * @param {String} feature - Feature name (see MOVEMENT_FEATURES)
+   * @param {Object} region - Region object
+   * @param {Object} presence - Region presence record
+   * @param {Number} now - Timestamp of the position fix
+   * @returns {Number|null} Feature value, or null if unknown
+   */
+  getFeature(feature, region, presence, now) {
+    const { position, speed, heading, acceleration } = this.motion;
+    
+    switch (feature) {
+      case MOVEMENT_FEATURES.SPEED:
+        return speed;
+      
+      case MOVEMENT_FEATURES.HEADING:
+        return heading;
+      
+      case MOVEMENT_FEATURES.ACCELERATION:
+        return acceleration;
+      
+      case MOVEMENT_FEATURES.DISTANCE_TO_CENTER:
+        return calculateDistance(position, calculatePolygonCenter(region.polygon));
+      
+      case MOVEMENT_FEATURES.DISTANCE_TO_EDGE:
+        return presence.distance;
+      
+      case MOVEMENT_FEATURES.ALTITUDE:
+        return Number.isFinite(position.alt) ? position.alt : null;
+      
+      case MOVEMENT_FEATURES.TIME_INSIDE:
+        return presence.enteredAt ? (now - presence.enteredAt) / 1000 : 0;
+      
+      default:
+        return null;
+    }
+  }
+  
+  /**
+   * Smooth a feature value over time, so GPS jitter does not make parameters jump
+   * Headings are smoothed the short way around the circle
+   * @param {String} regionId - Region ID
+   * @param {Number} index - Index of the mapping
+   * @param {Object} mapping - Mapping settings
+   * @param {Number} input - New feature value
+   * @param {Number} now - Timestamp of the position fix
+   * @returns {Number} Smoothed value
+   */
+  smooth(regionId, index, mapping, input, now) {
+    if (!this.smoothedValues.has(regionId)) {
+      this.smoothedValues.set(regionId, []);
+    }
+    
+    const values = this.smoothedValues.get(regionId);
+    const previous = values[index];
+    let value = input;
+    
+    if (previous && mapping.smoothing > 0) {
+      const follow = 1 - Math.exp(-(now - previous.time) / 1000 / mapping.smoothing);
+      
+      if (mapping.feature === MOVEMENT_FEATURES.HEADING) {
+        const difference = ((input - previous.value + 540) % 360) - 180;
+        value = (previous.value + difference * follow + 360) % 360;
+      } else {
+        value = previous.value + (input - previous.value) * follow;
+      }
+    }
+    
+    values[index] = { value, time: now };
+    
+    return value;
+  }
+  
+  /**
+   * Map a feature value from the input range onto the output range
+   * Values outside the input range hold the ends of the output range
+   * @param {Object} mapping - Mapping with inputRange, outputRange and curve
+   * @param {Number} input - Feature value
+   * @returns {Number} Parameter value
+   */
+  mapValue(mapping, input) {
+    const [inputMin, inputMax] = mapping.inputRange;
+    const [outputMin, outputMax] = mapping.outputRange;
+    const progress = inputMax !== inputMin ? (input - inputMin) / (inputMax - inputMin) : 0;
+    
+    return getCurveValue(outputMin, outputMax, progress, mapping.curve);
+  }
+  
+  /**
+   * Forget a region's smoothed values, so its next visit starts afresh
+   * @param {String} regionId - Region ID
+   */
+  reset(regionId) {
+    this.smoothedValues.delete(regionId);
+  }
+}
+
+export default ModulationMatrix;
@@ -1,4 +1,4 @@
-import { calculateDistance } from './MapUtils';
+import { calculateDistance, calculateBearing } from './MapUtils';
 
 /**
  * Path Recorder Service
@@ -16,21 +16,28 @@ class PathRecorderService {
     this.recordingInterval = null;
     this.currentCompositionId = null;
     this.pathPolyline = null;
+    this.lastRecordingData = null;
+    this.lastFix = null;
+    this.recentPath = []; // last two points a few meters apart, recording or not
+    this.trackingBeforeRecording = false;
     
     // Settings
     this.settings = {
       captureInterval: 1000, // ms between position captures
       minDistance: 2, // minimum distance in meters to record a new point
       maxDuration: 3600000, // maximum recording time (1 hour)
-      includeAudioSnapshot: true // whether to include audio snapshots
+      includeAudioSnapshot: true, // whether to include audio snapshots
+      captureOutputLevels: false // record measured output levels along with the scheduled gain
     };
     
     // Bind methods
     this.startRecording = this.startRecording.bind(this);
     this.stopRecording = this.stopRecording.bind(this);
     this.capturePosition = this.capturePosition.bind(this);
+    this.handlePositionError = this.handlePositionError.bind(this);
     this.captureAudioState = this.captureAudioState.bind(this);
     this.generateComposition = this.generateComposition.bind(this);
+    this.renderLocalComposition = this.renderLocalComposition.bind(this);
   }
   
   /**
@@ -66,37 +73,9 @@ class PathRecorderService {
       map: this.mapService.map
     });
     
-    // Start watching position
-    this.watchId = navigator.geolocation.watchPosition(
-      this.capturePosition,
-      error => {
-        console.error('Error capturing position:', error);
-        // Provide user feedback based on error code
-        let errorMessage = 'Unknown error occurred while tracking your location.';
-        
-        switch (error.code) {
-          case error.PERMISSION_DENIED:
-            errorMessage = 'Location permission denied. Please enable location services to record your path.';
-            break;
-          case error.POSITION_UNAVAILABLE:
-            errorMessage = 'Location information is unavailable. Please try again in an open area.';
-            break;
-          case error.TIMEOUT:
-            errorMessage = 'Location request timed out. Please check your connection and try again.';
-            break;
-        }
-        
-        // Dispatch error event for UI to display
-        window.dispatchEvent(new CustomEvent('path-recording-error', {
-          detail: { error: errorMessage }
-        }));
-      },
-      {
-        enableHighAccuracy: true,
-        maximumAge: 0,
-        timeout: 10000
-      }
-    );
+    // Keep position fixes running after the recording if they were before it
+    this.trackingBeforeRecording = this.watchId !== null;
+    this.startTracking();
     
     // Set up interval for regular capture
     this.recordingInterval = setInterval(() => {
@@ -129,6 +108,75 @@ class PathRecorderService {
     return true;
   }
   
+  /**
+   * Follow position fixes without recording them, so the listener's motion
+   * is known (e.g. to prefetch regions ahead) before and after a recording
+   * @returns {Boolean} Success flag
+   */
+  startTracking() {
+    if (this.watchId !== null) return true;
+    
+    if (!navigator.geolocation) {
+      console.error('Geolocation is not supported by this browser');
+      return false;
+    }
+    
+    this.watchId = navigator.geolocation.watchPosition(
+      this.capturePosition,
+      this.handlePositionError,
+      {
+        enableHighAccuracy: true,
+        maximumAge: 0,
+        timeout: 10000
+      }
+    );
+    
+    return true;
+  }
+  
+  /**
+   * Stop following position fixes
+   * A recording in progress keeps them until it stops
+   */
+  stopTracking() {
+    if (this.isRecording) {
+      this.trackingBeforeRecording = false;
+      return;
+    }
+    
+    if (this.watchId !== null) {
+      navigator.geolocation.clearWatch(this.watchId);
+      this.watchId = null;
+    }
+  }
+  
+  handlePositionError(error) {
+    console.error('Error capturing position:', error);
+    
+    // Only a recording needs the listener to act on it
+    if (!this.isRecording) return;
+    
+    // Provide user feedback based on error code
+    let errorMessage = 'Unknown error occurred while tracking your location.';
+    
+    switch (error.code) {
+      case error.PERMISSION_DENIED:
+        errorMessage = 'Location permission denied. Please enable location services to record your path.';
+        break;
+      case error.POSITION_UNAVAILABLE:
+        errorMessage = 'Location information is unavailable. Please try again in an open area.';
+        break;
+      case error.TIMEOUT:
+        errorMessage = 'Location request timed out. Please check your connection and try again.';
+        break;
+    }
+    
+    // Dispatch error event for UI to display
+    window.dispatchEvent(new CustomEvent('path-recording-error', {
+      detail: { error: errorMessage }
+    }));
+  }
+  
   /**
    * Stop recording the path
    * @returns {Promise<Object>} Recording data and composition info
@@ -139,8 +187,7 @@ class PathRecorderService {
       return null;
     }
     
-    // Clear watch and interval
-    navigator.geolocation.clearWatch(this.watchId);
+    // Clear interval
     clearInterval(this.recordingInterval);
     
     // Capture final audio state
@@ -151,6 +198,10 @@ class PathRecorderService {
     // Set recording flag to false
     this.isRecording = false;
     
+    if (!this.trackingBeforeRecording) {
+      this.stopTracking();
+    }
+    
     // Generate and process the recorded composition
     const recordingData = {
       compositionId: this.currentCompositionId,
@@ -161,6 +212,9 @@ class PathRecorderService {
       audioEvents: this.recordedAudio
     };
     
+    // Keep the recording so it can be rendered locally
+    this.lastRecordingData = recordingData;
+    
     // If we have enough points, generate a composition
     if (this.recordedPath.length >= 2) {
       try {
@@ -180,7 +234,10 @@ class PathRecorderService {
         
         // Notify that there was an error
         window.dispatchEvent(new CustomEvent('path-recording-error', {
-          detail: { error: 'Failed to generate composition from your path.' }
+          detail: { 
+            error: 'Failed to generate composition from your path.',
+            canRenderLocally: true
+          }
         }));
         
         return null;
@@ -213,14 +270,33 @@ class PathRecorderService {
       newPoint.alt = position.coords.altitude;
     }
     
+    // Keep the latest fix, including device-reported motion, for motion prediction
+    this.lastFix = {
+      ...newPoint,
+      heading: position.coords.heading,
+      speed: position.coords.speed
+    };
+    
+    // Keep the last two points a few meters apart, so heading and speed
+    // can be derived when the device does not report them
+    const moved = this.recentPath.length === 0 ||
+      calculateDistance(this.recentPath[this.recentPath.length - 1], newPoint) >= this.settings.minDistance;
+    
+    if (moved) {
+      this.recentPath = [...this.recentPath.slice(-1), newPoint];
+    }
+    
     // Only add the point if it's far enough from the last point
     // This prevents cluttering with redundant points
-    if (this.recordedPath.length === 0 || 
-        calculateDistance(
-          this.recordedPath[this.recordedPath.length - 1], 
-          newPoint
-        ) >= this.settings.minDistance) {
-      
+    const recorded = this.isRecording && (
+      this.recordedPath.length === 0 || 
+      calculateDistance(
+        this.recordedPath[this.recordedPath.length - 1], 
+        newPoint
+      ) >= this.settings.minDistance
+    );
+    
+    if (recorded) {
       // Add to our data structure
       this.recordedPath.push(newPoint);
       
@@ -236,7 +312,9 @@ class PathRecorderService {
       if (this.settings.includeAudioSnapshot) {
         this.captureAudioState();
       }
-      
+    }
+    
+    if (moved || recorded) {
       // Notify about position update
       window.dispatchEvent(new CustomEvent('path-position-updated', {
         detail: {
@@ -254,16 +332,24 @@ class PathRecorderService {
     // Get currently playing audio from the audio service
     const playingAudio = this.audioService.getActiveAudio();
     
+    // What the listener actually heard, after effects, ducking and loudness trim
+    const levels = this.settings.captureOutputLevels ? this.audioService.getLevels() : null;
+    
     const audioSnapshot = {
       timestamp: Date.now(),
       timeSinceStart: Date.now() - this.recordingStartTime,
       activeRegions: playingAudio.map(audio => ({
         regionId: audio.id,
         volume: audio.volume,
-        effects: audio.effects
+        effects: audio.effects,
+        ...(levels && levels.sources[audio.id] && { outputLevel: levels.sources[audio.id] })
       }))
     };
     
+    if (levels) {
+      audioSnapshot.outputLevel = levels.master;
+    }
+    
     this.recordedAudio.push(audioSnapshot);
   }
   
@@ -303,6 +389,53 @@ class PathRecorderService {
     }
   }
   
+  /**
+   * Render the last recording in the browser
+   * Lets listeners preview and download their composition without waiting
+   * for the server, or when the upload failed
+   * @returns {Promise<Blob>} WAV file of the journey
+   */
+  async renderLocalComposition() {
+    if (!this.lastRecordingData) {
+      throw new Error('No recording available to render');
+    }
+    
+    return this.audioService.renderJourney(this.lastRecordingData);
+  }
+  
+  /**
+   * Get the listener's current position, heading and speed
+   * Uses the device-reported values when available, otherwise derives
+   * them from the last two points of the recent path
+   * @returns {Object|null} { position, heading, speed } with heading in degrees and speed in m/s
+   */
+  getMotionState() {
+    if (!this.lastFix) return null;
+    
+    const position = { lat: this.lastFix.lat, lng: this.lastFix.lng };
+    let heading = Number.isFinite(this.lastFix.heading) ? this.lastFix.heading : null;
+    let speed = Number.isFinite(this.lastFix.speed) ? this.lastFix.speed : null;
+    
+    if ((heading === null || speed === null) && this.recentPath.length === 2) {
+      const [previous, last] = this.recentPath;
+      const elapsed = (last.timestamp - previous.timestamp) / 1000;
+      
+      if (heading === null) {
+        heading = calculateBearing(previous, last);
+      }
+      
+      if (speed === null && elapsed > 0) {
+        speed = calculateDistance(previous, last) / elapsed;
+      }
+    }
+    
+    return {
+      position,
+      heading,
+      speed: speed || 0
+    };
+  }
+  
   /**
    * Get recording status
    * @returns {Object} Current recording status
@@ -0,0 +1,124 @@
+import { getDistanceToBoundaryEdge, calculateDestination } from './MapUtils';
+
+/**
+ * Region Prefetcher
+ * Predicts which regions the listener is about to enter from their position,
+ * heading and speed, and loads those regions' audio before the listener
+ * reaches the transition radius
+ */
+class RegionPrefetcher {
+  constructor(audioService, pathRecorderService) {
+    this.audioService = audioService;
+    this.pathRecorderService = pathRecorderService;
+    this.regions = [];
+    this.isRunning = false;
+    
+    // Settings
+    this.settings = {
+      lookahead: 15,       // seconds of movement to predict
+      sampleInterval: 2.5, // seconds between predicted positions
+      margin: 15,          // extra meters beyond the transition radius
+      maxConcurrent: 2     // prefetches started per position update
+    };
+    
+    // Bind methods
+    this.handlePositionUpdate = this.handlePositionUpdate.bind(this);
+  }
+  
+  /**
+   * Set the regions of the current composition
+   * @param {Array} regions - [{ id, audioData: { url }, { sources: [{ url, type }] } or { synth }, polygon, transitionSettings }]
+   */
+  setRegions(regions) {
+    this.regions = regions || [];
+  }
+  
+  /**
+   * Start prefetching on path position updates
+   */
+  start() {
+    if (this.isRunning) return;
+    
+    this.isRunning = true;
+    window.addEventListener('path-position-updated', this.handlePositionUpdate);
+  }
+  
+  /**
+   * Stop prefetching
+   */
+  stop() {
+    this.isRunning = false;
+    window.removeEventListener('path-position-updated', this.handlePositionUpdate);
+  }
+  
+  handlePositionUpdate() {
+    const motion = this.pathRecorderService.getMotionState();
+    
+    if (motion) {
+      this.update(motion);
+    }
+  }
+  
+  /**
+   * Prefetch audio for the regions the listener is likely to enter next
+   * @param {Object} motion - { position, heading, speed }
+   * @returns {Array} IDs of the regions whose audio was requested
+   */
+  update(motion) {
+    // Skip audio that is already cached or loading
+    const candidates = this.predictRegions(motion)
+      .filter(candidate => !this.audioService.isAudioCached(this.getAudioSource(candidate.region)))
+      .slice(0, this.settings.maxConcurrent);
+    
+    candidates.forEach(({ region }) => {
+      this.audioService.preloadAudio(this.getAudioSource(region));
+    });
+    
+    return candidates.map(candidate => candidate.region.id);
+  }
+  
+  // A region's audio URL, its list of encodings, or its synthesized source
+  // (scrubbing regions play their file as a granular cloud, which never streams it)
+  getAudioSource(region) {
+    const { scrub, synth, sources, url } = region.audioData;
+    return scrub ? this.audioService.getScrubSource(url) : synth || sources || url;
+  }
+  
+  /**
+   * Find regions whose prefetch zone the listener will reach within the lookahead
+   * @param {Object} motion - { position, heading, speed }
+   * @returns {Array} [{ region, eta }] sorted by estimated time of arrival
+   */
+  predictRegions(motion) {
+    const { lookahead, sampleInterval, margin } = this.settings;
+    const predictedPositions = [{ time: 0, position: motion.position }];
+    
+    // Project the listener forward along their heading
+    if (motion.heading !== null && motion.speed > 0) {
+      for (let time = sampleInterval; time <= lookahead; time += sampleInterval) {
+        predictedPositions.push({
+          time,
+          position: calculateDestination(motion.position, motion.heading, motion.speed * time)
+        });
+      }
+    }
+    
+    const candidates = [];
+    
+    this.regions.forEach(region => {
+      const radius = (region.transitionSettings && region.transitionSettings.transitionRadius) || 10;
+      
+      const arrival = predictedPositions.find(({ position }) => (
+        getDistanceToBoundaryEdge(position, region.polygon) <= radius + margin
+      ));
+      
+      if (arrival) {
+        candidates.push({ region, eta: arrival.time });
+      }
+    });
+    
+    return candidates.sort((a, b) => a.eta - b.eta);
+  }
+}
+
+export default RegionPrefetcher;
@@ -0,0 +1,456 @@
+import {
+  getDistanceToBoundaryEdge,
+  calculatePolygonCenter,
+  projectOntoPolyline,
+  getPolygonAxis
+} from './MapUtils';
+import ModulationMatrix from './ModulationMatrix';
+import RegionScheduler from './RegionScheduler';
+
+/**
+ * Region presence states
+ */
+export const PRESENCE_STATES = {
+  OUTSIDE: 'outside',         // beyond the transition radius
+  APPROACHING: 'approaching', // within the transition radius, outside the polygon
+  INSIDE: 'inside',           // inside the polygon
+  LEAVING: 'leaving'          // left the polygon, still within the transition radius
+};
+
+/**
+ * Region Presence Tracker
+ * Consumes position fixes, tracks each region through explicit presence states
+ * and drives the BoundaryTransitionManager's entry and exit transitions.
+ * Hysteresis and dwell times keep a listener standing on an edge from
+ * flapping in and out because of GPS noise. In scrubbing regions the
+ * listener's position along the region's path sets the playback position.
+ * Each fix also drives the regions' movement-to-parameter mappings.
+ * Regions with a schedule are only entered while one of their time windows
+ * is open, and crossfade between audio variants as the time of day changes.
+ */
+class RegionPresenceTracker {
+  constructor(transitionManager, audioService) {
+    this.transitionManager = transitionManager;
+    this.audioService = audioService;
+    this.regions = [];
+    this.presence = new Map(); // regionId => { state, pendingState, pendingSince, distance, enteredAt, scrubPosition, scheduled, variant }
+    this.lastPosition = null;
+    this.watchId = null;
+    this.modulationMatrix = new ModulationMatrix(audioService);
+    this.scheduler = new RegionScheduler();
+    this.scheduleTimer = null;
+    
+    // Settings
+    this.settings = {
+      minHysteresis: 2,    // meters
+      maxHysteresis: 10,   // meters
+      accuracyFactor: 0.5, // fraction of the reported GPS accuracy used as hysteresis
+      enterDwell: 2000,    // ms a new state must hold before entering
+      exitDwell: 3000,     // ms a new state must hold before leaving
+      scheduleInterval: 30000 // ms between schedule checks without position fixes
+    };
+    
+    // Bind methods
+    this.update = this.update.bind(this);
+    this.handlePosition = this.handlePosition.bind(this);
+    this.checkSchedules = this.checkSchedules.bind(this);
+  }
+  
+  /**
+   * Set the regions of the current composition
+   * @param {Array} regions - [{ id, polygon, audioData: { url, scrub: { path } }, transitionSettings, schedule }]
+   * @param {Object} location - Composition coordinates for sunrise and sunset
+   *   (defaults to the center of the regions)
+   */
+  setRegions(regions, location = null) {
+    this.regions = (regions || []).map(region => ({
+      ...region,
+      transitionSettings: this.transitionManager.createTransitionSettings(
+        region,
+        region.transitionSettings
+      ),
+      // Scrubbing regions without an authored path use the polygon's longest axis
+      scrubPath: region.audioData && region.audioData.scrub
+        ? region.audioData.scrub.path || getPolygonAxis(region.polygon)
+        : null
+    }));
+    
+    if (location || this.regions.length > 0) {
+      this.scheduler.setLocation(location || calculatePolygonCenter(
+        this.regions.map(region => calculatePolygonCenter(region.polygon))
+      ));
+    }
+    
+    // Keep the state of regions that are still part of the composition
+    const regionIds = new Set(this.regions.map(region => region.id));
+    this.presence.forEach((presence, regionId) => {
+      if (!regionIds.has(regionId)) {
+        this.presence.delete(regionId);
+      }
+    });
+  }
+  
+  /**
+   * Start watching the device position
+   * @returns {Boolean} Success flag
+   */
+  start() {
+    if (this.watchId !== null) return true;
+    
+    if (!navigator.geolocation) {
+      console.error('Geolocation is not supported by this browser');
+      return false;
+    }
+    
+    this.watchId = navigator.geolocation.watchPosition(
+      this.handlePosition,
+      error => console.error('Error tracking position for regions:', error),
+      {
+        enableHighAccuracy: true,
+        maximumAge: 0,
+        timeout: 10000
+      }
+    );
+    
+    this.scheduleTimer = setInterval(this.checkSchedules, this.settings.scheduleInterval);
+    
+    return true;
+  }
+  
+  /**
+   * Stop watching the device position
+   */
+  stop() {
+    if (this.watchId !== null) {
+      navigator.geolocation.clearWatch(this.watchId);
+      this.watchId = null;
+    }
+    
+    if (this.scheduleTimer) {
+      clearInterval(this.scheduleTimer);
+      this.scheduleTimer = null;
+    }
+  }
+  
+  /**
+   * Re-run the last position fix so schedule changes take effect while the
+   * listener stands still (and the device reports no new fixes)
+   */
+  checkSchedules() {
+    if (this.lastPosition) {
+      this.update({ ...this.lastPosition, timestamp: Date.now() });
+    }
+  }
+  
+  handlePosition(position) {
+    this.update({
+      lat: position.coords.latitude,
+      lng: position.coords.longitude,
+      accuracy: position.coords.accuracy,
+      alt: position.coords.altitude,
+      speed: position.coords.speed,
+      heading: position.coords.heading,
+      timestamp: position.timestamp || Date.now()
+    });
+  }
+  
+  /**
+   * Process a position fix
+   * @param {Object} position - { lat, lng, accuracy, alt, speed, heading, timestamp }
+   */
+  update(position) {
+    const now = position.timestamp || Date.now();
+    const hysteresis = this.getHysteresis(position.accuracy);
+    
+    this.lastPosition = position;
+    
+    // Spatial sources follow every fix, whether or not a path is being recorded
+    this.audioService.updateListenerPosition(position);
+    this.modulationMatrix.updateMotion(position);
+    
+    this.regions.forEach(region => {
+      const distance = getDistanceToBoundaryEdge(position, region.polygon);
+      const presence = this.getPresence(region.id);
+      
+      presence.distance = distance;
+      
+      // Walking along the path plays the file, standing still freezes it
+      if (region.scrubPath) {
+        presence.scrubPosition = projectOntoPolyline(position, region.scrubPath).fraction;
+        this.audioService.scrubTo(region.id, presence.scrubPosition);
+      }
+      
+      this.updateVariant(region, presence, now);
+      
+      // Closed time windows keep the listener outside the region
+      const scheduled = this.scheduler.isActive(region.schedule, now);
+      const scheduleChanged = scheduled !== presence.scheduled;
+      presence.scheduled = scheduled;
+      
+      const target = scheduled
+        ? this.getTargetState(presence.state, distance, region.transitionSettings.transitionRadius, hysteresis)
+        : PRESENCE_STATES.OUTSIDE;
+      
+      if (target === presence.state) {
+        presence.pendingState = null;
+        this.continueTransition(region, presence);
+        return;
+      }
+      
+      // Windows opening and closing are not GPS noise, so they take effect at once
+      if (scheduleChanged) {
+        this.changeState(region, presence, target, now);
+        return;
+      }
+      
+      // Require the new state to hold for the dwell time
+      if (presence.pendingState !== target) {
+        presence.pendingState = target;
+        presence.pendingSince = now;
+      }
+      
+      const isEntering = target === PRESENCE_STATES.APPROACHING || target === PRESENCE_STATES.INSIDE;
+      const dwell = isEntering ? this.settings.enterDwell : this.settings.exitDwell;
+      
+      if (now - presence.pendingSince >= dwell) {
+        this.changeState(region, presence, target, now);
+      } else {
+        this.continueTransition(region, presence);
+      }
+    });
+    
+    // Balance regions the listener is inside of at the same time
+    const insideRegions = this.regions
+      .filter(region => this.getPresence(region.id).state === PRESENCE_STATES.INSIDE)
+      .map(region => ({
+        id: region.id,
+        settings: region.transitionSettings,
+        center: calculatePolygonCenter(region.polygon)
+      }));
+    
+    this.transitionManager.handleCrossfades(insideRegions, position);
+    
+    // Map the listener's movement to parameters of the regions they can hear;
+    // at the edges the entry and exit transitions keep the parameters they drive
+    this.regions.forEach(region => {
+      const presence = this.getPresence(region.id);
+      const { fadeInType, fadeOutType } = region.transitionSettings;
+      
+      switch (presence.state) {
+        case PRESENCE_STATES.APPROACHING:
+          this.modulationMatrix.evaluate(region, presence, now, this.transitionManager.getTransitionTargets(fadeInType));
+          break;
+        
+        case PRESENCE_STATES.LEAVING:
+          this.modulationMatrix.evaluate(region, presence, now, this.transitionManager.getTransitionTargets(fadeOutType));
+          break;
+        
+        case PRESENCE_STATES.INSIDE:
+          this.modulationMatrix.evaluate(region, presence, now);
+          break;
+        
+        default:
+          break;
+      }
+    });
+  }
+  
+  /**
+   * Hysteresis widens with poor GPS accuracy
+   * @param {Number} accuracy - Reported accuracy in meters
+   * @returns {Number} Hysteresis in meters
+   */
+  getHysteresis(accuracy) {
+    const { minHysteresis, maxHysteresis, accuracyFactor } = this.settings;
+    
+    if (!Number.isFinite(accuracy)) return minHysteresis;
+    
+    return Math.min(maxHysteresis, Math.max(minHysteresis, accuracy * accuracyFactor));
+  }
+  
+  /**
+   * Decide which state the distance points to from the current state
+   * @param {String} state - Current presence state
+   * @param {Number} distance - Distance to the boundary edge (negative inside)
+   * @param {Number} radius - Transition radius in meters
+   * @param {Number} hysteresis - Hysteresis in meters
+   * @returns {String} Target presence state
+   */
+  getTargetState(state, distance, radius, hysteresis) {
+    switch (state) {
+      case PRESENCE_STATES.OUTSIDE:
+        if (distance <= -hysteresis) return PRESENCE_STATES.INSIDE;
+        if (distance < radius - hysteresis) return PRESENCE_STATES.APPROACHING;
+        return state;
+      
+      case PRESENCE_STATES.APPROACHING:
+        if (distance <= -hysteresis) return PRESENCE_STATES.INSIDE;
+        if (distance > radius + hysteresis) return PRESENCE_STATES.OUTSIDE;
+        return state;
+      
+      case PRESENCE_STATES.INSIDE:
+        if (distance > radius + hysteresis) return PRESENCE_STATES.OUTSIDE;
+        if (distance > hysteresis) return PRESENCE_STATES.LEAVING;
+        return state;
+      
+      case PRESENCE_STATES.LEAVING:
+        if (distance <= -hysteresis) return PRESENCE_STATES.INSIDE;
+        if (distance > radius + hysteresis) return PRESENCE_STATES.OUTSIDE;
+        return state;
+      
+      default:
+        return PRESENCE_STATES.OUTSIDE;
+    }
+  }
+  
+  /**
+   * Move a region to a new state and start the matching transition
+   * @param {Object} region - Region object
+   * @param {Object} presence - Region presence record
+   * @param {String} state - New presence state
+   * @param {Number} now - Timestamp of the position fix
+   */
+  changeState(region, presence, state, now) {
+    const previousState = presence.state;
+    const { id, transitionSettings } = region;
+    const distance = Math.max(0, presence.distance);
+    const audioData = this.getAudioData(region, presence);
+    
+    presence.state = state;
+    presence.pendingState = null;
+    
+    switch (state) {
+      case PRESENCE_STATES.APPROACHING:
+        this.transitionManager.applyEntryTransition(id, audioData, transitionSettings, distance);
+        break;
+      
+      case PRESENCE_STATES.INSIDE:
+        presence.enteredAt = now;
+        
+        if (previousState === PRESENCE_STATES.LEAVING && this.audioService.isPlaying(id)) {
+          this.transitionManager.restoreEntryTransition(id, audioData, transitionSettings);
+          break;
+        }
+        
+        // Only being inside makes a region the audible member of its exclusive group
+        this.transitionManager.enterExclusiveGroup(id, audioData, transitionSettings);
+        
+        // Members silenced by their group while approaching start now
+        if (previousState === PRESENCE_STATES.APPROACHING && this.audioService.isPlaying(id)) {
+          this.transitionManager.updateEntryTransition(id, transitionSettings, 0);
+        } else {
+          this.transitionManager.applyEntryTransition(id, audioData, transitionSettings, 0);
+        }
+        break;
+      
+      case PRESENCE_STATES.LEAVING:
+        this.transitionManager.applyExitTransition(id, transitionSettings, distance);
+        break;
+      
+      case PRESENCE_STATES.OUTSIDE:
+        presence.enteredAt = null;
+        
+        // A timed fade out already started when the listener began leaving
+        if (previousState !== PRESENCE_STATES.LEAVING || this.transitionManager.isProgressiveExit(transitionSettings)) {
+          this.transitionManager.applyExitTransition(id, transitionSettings, transitionSettings.transitionRadius);
+        }
+        
+        this.transitionManager.endVisit(id);
+        this.modulationMatrix.reset(id);
+        break;
+    }
+    
+    window.dispatchEvent(new CustomEvent('region-state-changed', {
+      detail: {
+        regionId: id,
+        previousState,
+        state,
+        distance: presence.distance
+      }
+    }));
+  }
+  
+  /**
+   * Get the audio data a region plays now: the variant for the time of day,
+   * scrubbing from where the listener is
+   * @param {Object} region - Region object
+   * @param {Object} presence - Region presence record
+   * @returns {Object} Audio data with the region polygon
+   */
+  getAudioData(region, presence) {
+    const audioData = {
+      ...this.scheduler.getVariantAudioData(region, presence.variant),
+      polygon: region.polygon
+    };
+    
+    if (region.scrubPath) {
+      audioData.scrub = { ...region.audioData.scrub, ...audioData.scrub, position: presence.scrubPosition };
+    }
+    
+    return audioData;
+  }
+  
+  /**
+   * Switch to the audio variant for the current time, crossfading if the region is audible
+   * @param {Object} region - Region object
+   * @param {Object} presence - Region presence record
+   * @param {Number} now - Timestamp of the position fix
+   */
+  updateVariant(region, presence, now) {
+    const variant = this.scheduler.getVariant(region.schedule, now);
+    if (variant === presence.variant) return;
+    
+    // Audio fading out on exit keeps its variant, and switches if the listener comes back
+    if (this.audioService.isStopping(region.id)) return;
+    
+    presence.variant = variant;
+    
+    if (presence.state !== PRESENCE_STATES.OUTSIDE) {
+      this.transitionManager.switchAudioVariant(region.id, this.getAudioData(region, presence), region.transitionSettings);
+    }
+  }
+  
+  /**
+   * Follow the listener's distance within the current state
+   * @param {Object} region - Region object
+   * @param {Object} presence - Region presence record
+   */
+  continueTransition(region, presence) {
+    const { id, transitionSettings } = region;
+    const distance = Math.max(0, presence.distance);
+    
+    if (presence.state === PRESENCE_STATES.APPROACHING) {
+      this.transitionManager.updateEntryTransition(id, transitionSettings, distance);
+    } else if (presence.state === PRESENCE_STATES.LEAVING && this.transitionManager.isProgressiveExit(transitionSettings)) {
+      this.transitionManager.applyExitTransition(id, transitionSettings, distance);
+    }
+  }
+  
+  getPresence(regionId) {
+    if (!this.presence.has(regionId)) {
+      this.presence.set(regionId, {
+        state: PRESENCE_STATES.OUTSIDE,
+        pendingState: null,
+        pendingSince: 0,
+        distance: Infinity,
+        enteredAt: null,
+        scrubPosition: 0,
+        scheduled: true,
+        variant: -1
+      });
+    }
+    
+    return this.presence.get(regionId);
+  }
+  
+  /**
+   * Get the presence state of a region
+   * @param {String} regionId - Region ID
+   * @returns {String} Presence state
+   */
+  getState(regionId) {
+    return this.getPresence(regionId).state;
+  }
+}
+
+export default RegionPresenceTracker;
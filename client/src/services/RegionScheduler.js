@@ -0,0 +1,229 @@
+import { toRad, toDeg } from './MapUtils';
+
+/**
+ * Periods of the day, from the sun's position at the composition
+ */
+export const DAY_PERIODS = {
+  DAWN: 'dawn',   // civil dawn until shortly after sunrise
+  DAY: 'day',
+  DUSK: 'dusk',   // shortly before sunset until civil dusk
+  NIGHT: 'night'
+};
+
+const MS_PER_DAY = 86400000;
+const J2000 = 2451545.0;        // Julian date of 2000-01-01 12:00 UTC
+const UNIX_EPOCH_JULIAN = 2440587.5;
+
+const SUNRISE_ALTITUDE = -0.833; // degrees, sun's upper limb on the horizon with refraction
+const CIVIL_TWILIGHT_ALTITUDE = -6;
+
+/**
+ * Region Scheduler
+ * Decides when regions are active and which variant of their audio plays.
+ * A region's schedule looks like:
+ *   {
+ *     windows: [{ days: [1, 2, 3, 4, 5], from: '2024-06-01', to: '2024-08-31', start: '09:00', end: '18:00' }],
+ *     variants: [{ period: 'night', audioData: { url } }, { windows: [...], audioData: { url } }]
+ *   }
+ * All fields of a window are optional; days count from 0 (Sunday) and times
+ * are the listener's local time, with windows ending past midnight allowed.
+ * Regions without windows are always active. Dawn, day, dusk and night are
+ * computed on the device from sunrise and sunset at the composition's location.
+ */
+class RegionScheduler {
+  constructor(options = {}) {
+    this.location = options.location || null; // { lat, lng }
+    this.solarDays = new Map();               // solar day number => sun event times
+    
+    // Settings
+    this.settings = {
+      periodMargin: 45 // minutes of dawn after sunrise and of dusk before sunset
+    };
+  }
+  
+  /**
+   * Set the coordinates that sunrise and sunset are computed for
+   * @param {Object} location - { lat, lng }
+   */
+  setLocation(location) {
+    this.location = location;
+    this.solarDays.clear();
+  }
+  
+  /**
+   * Check whether a region is active
+   * @param {Object} schedule - Region schedule (optional)
+   * @param {Number} time - Time in ms since the Unix epoch
+   * @returns {Boolean} True if the region has no windows or one of them is open
+   */
+  isActive(schedule, time = Date.now()) {
+    if (!schedule || !schedule.windows || schedule.windows.length === 0) return true;
+    
+    return this.isWithinWindows(schedule.windows, time);
+  }
+  
+  /**
+   * Find the variant of a region's audio for a time
+   * @param {Object} schedule - Region schedule (optional)
+   * @param {Number} time - Time in ms since the Unix epoch
+   * @returns {Number} Index of the first matching variant, or -1 for the region's own audio
+   */
+  getVariant(schedule, time = Date.now()) {
+    if (!schedule || !schedule.variants) return -1;
+    
+    const period = this.getPeriod(time);
+    
+    return schedule.variants.findIndex(variant => {
+      if (variant.period && variant.period !== period) return false;
+      if (variant.windows && !this.isWithinWindows(variant.windows, time)) return false;
+      
+      return Boolean(variant.period || variant.windows);
+    });
+  }
+  
+  /**
+   * Get the audio data of a variant
+   * @param {Object} region - Region with audioData and schedule
+   * @param {Number} variant - Variant index (-1 for the region's own audio)
+   * @returns {Object} Audio data
+   */
+  getVariantAudioData(region, variant) {
+    if (variant < 0) return region.audioData;
+    
+    return region.schedule.variants[variant].audioData;
+  }
+  
+  /**
+   * Check whether any of the windows is open
+   * @param {Array} windows - Time windows
+   * @param {Number} time - Time in ms since the Unix epoch
+   * @returns {Boolean} True if a window is open
+   */
+  isWithinWindows(windows, time) {
+    const date = new Date(time);
+    
+    return windows.some(window => this.isWithinWindow(window, date));
+  }
+  
+  /**
+   * Check whether a window is open
+   * @param {Object} window - { days, from, to, start, end }
+   * @param {Date} date - Local date and time
+   * @returns {Boolean} True if the window is open
+   */
+  isWithinWindow(window, date) {
+    const minutes = date.getHours() * 60 + date.getMinutes();
+    const start = this.parseTime(window.start, 0);
+    const end = this.parseTime(window.end, 24 * 60);
+    let day = date;
+    
+    if (start <= end) {
+      if (minutes < start || minutes >= end) return false;
+    } else if (minutes < end) {
+      // After midnight in a window that opened the day before
+      day = new Date(date.getFullYear(), date.getMonth(), date.getDate() - 1);
+    } else if (minutes < start) {
+      return false;
+    }
+    
+    if (window.days && window.days.length > 0 && !window.days.includes(day.getDay())) return false;
+    
+    const dateString = this.formatDate(day);
+    if (window.from && dateString < window.from) return false;
+    if (window.to && dateString > window.to) return false;
+    
+    return true;
+  }
+  
+  /**
+   * Get the period of the day at the composition
+   * @param {Number} time - Time in ms since the Unix epoch
+   * @returns {String|null} Period (see DAY_PERIODS), or null without a location
+   */
+  getPeriod(time = Date.now()) {
+    if (!this.location) return null;
+    
+    const sun = this.getSunTimes(time);
+    const margin = this.settings.periodMargin * 60000;
+    
+    // Polar day and night
+    if (sun.sunrise === null) {
+      return sun.alwaysUp ? DAY_PERIODS.DAY : DAY_PERIODS.NIGHT;
+    }
+    
+    // Without civil twilight the sun never gets far below the horizon
+    const dawn = sun.civilDawn !== null ? sun.civilDawn : sun.solarNoon - MS_PER_DAY / 2;
+    const dusk = sun.civilDusk !== null ? sun.civilDusk : sun.solarNoon + MS_PER_DAY / 2;
+    
+    if (time >= dawn && time < sun.sunrise + margin) return DAY_PERIODS.DAWN;
+    if (time >= sun.sunrise + margin && time < sun.sunset - margin) return DAY_PERIODS.DAY;
+    if (time >= sun.sunset - margin && time < dusk) return DAY_PERIODS.DUSK;
+    
+    return DAY_PERIODS.NIGHT;
+  }
+  
+  /**
+   * Compute the sun's events for the solar day closest to a time
+   * (the NOAA sunrise equation, accurate to about a minute)
+   * @param {Number} time - Time in ms since the Unix epoch
+   * @returns {Object} { solarNoon, sunrise, sunset, civilDawn, civilDusk, alwaysUp } in ms,
+   *   null for events that do not happen that day
+   */
+  getSunTimes(time) {
+    const { lat, lng } = this.location;
+    const julianDate = time / MS_PER_DAY + UNIX_EPOCH_JULIAN;
+    const day = Math.round(julianDate - J2000 - 0.0008 + lng / 360);
+    
+    if (this.solarDays.has(day)) return this.solarDays.get(day);
+    
+    const meanSolarTime = day + 0.0008 - lng / 360;
+    const anomaly = (357.5291 + 0.98560028 * meanSolarTime) % 360;
+    const M = toRad(anomaly);
+    const center = 1.9148 * Math.sin(M) + 0.02 * Math.sin(2 * M) + 0.0003 * Math.sin(3 * M);
+    const longitude = toRad((anomaly + center + 180 + 102.9372) % 360);
+    const transit = J2000 + meanSolarTime + 0.0053 * Math.sin(M) - 0.0069 * Math.sin(2 * longitude);
+    const declination = Math.asin(Math.sin(longitude) * Math.sin(toRad(23.4397)));
+    
+    const toTime = julian => (julian - UNIX_EPOCH_JULIAN) * MS_PER_DAY;
+    
+    // Hour angle at which the sun crosses an altitude, null if it never does
+    const hourAngle = altitude => {
+      const cosine = (Math.sin(toRad(altitude)) - Math.sin(toRad(lat)) * Math.sin(declination)) /
+        (Math.cos(toRad(lat)) * Math.cos(declination));
+      
+      return cosine >= -1 && cosine <= 1 ? toDeg(Math.acos(cosine)) : null;
+    };
+    
+    const sunriseAngle = hourAngle(SUNRISE_ALTITUDE);
+    const twilightAngle = hourAngle(CIVIL_TWILIGHT_ALTITUDE);
+    
+    const sunTimes = {
+      solarNoon: toTime(transit),
+      sunrise: sunriseAngle !== null ? toTime(transit - sunriseAngle / 360) : null,
+      sunset: sunriseAngle !== null ? toTime(transit + sunriseAngle / 360) : null,
+      civilDawn: twilightAngle !== null ? toTime(transit - twilightAngle / 360) : null,
+      civilDusk: twilightAngle !== null ? toTime(transit + twilightAngle / 360) : null,
+      alwaysUp: sunriseAngle === null && Math.sin(toRad(lat)) * Math.sin(declination) > 0
+    };
+    
+    this.solarDays.set(day, sunTimes);
+    
+    return sunTimes;
+  }
+  
+  // Minutes since midnight of an 'HH:MM' time
+  parseTime(value, fallback) {
+    if (!value) return fallback;
+    
+    const [hours, minutes] = value.split(':').map(Number);
+    return hours * 60 + (minutes || 0);
+  }
+  
+  // Local 'YYYY-MM-DD' date, which compares correctly as a string
+  formatDate(date) {
+    const pad = value => String(value).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+  }
+}
+
+export default RegionScheduler;
@@ -0,0 +1,19 @@
+import { measureLoudness } from '../../../../shared/loudness.mjs';
+
+/**
+ * Loudness Worker
+ * Measures the loudness of decoded audio off the main thread, so the
+ * K-weighting of a long file does not freeze the UI or delay playback.
+ *
+ * Receives { id, channelData, sampleRate } and replies with { id, loudness }
+ * or { id, error } (see analyzeLoudness in AudioUtils).
+ */
+self.onmessage = (event) => {
+  const { id, channelData, sampleRate } = event.data;
+
+  try {
+    self.postMessage({ id, loudness: measureLoudness(channelData, sampleRate) });
+  } catch (error) {
+    self.postMessage({ id, error: error.message });
+  }
+};
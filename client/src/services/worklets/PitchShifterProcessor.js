@@ -0,0 +1,92 @@
+/**
+ * Pitch Shifter Processor
+ * AudioWorklet granular pitch shifter. Reads the input through two delay taps
+ * that sweep across a short window at a rate set by the pitch ratio, and
+ * crossfades between them with Hann windows so the grain boundaries are inaudible.
+ *
+ * Loaded with audioContext.audioWorklet.addModule() and registered as 'pitch-shifter'.
+ */
+class PitchShifterProcessor extends AudioWorkletProcessor {
+  static get parameterDescriptors() {
+    return [{
+      name: 'semitones',
+      defaultValue: 0,
+      minValue: -24,
+      maxValue: 24,
+      automationRate: 'a-rate'
+    }];
+  }
+  
+  constructor(options) {
+    super();
+    
+    const { windowSize = 0.08 } = (options && options.processorOptions) || {};
+    
+    this.windowSamples = Math.max(64, Math.round(windowSize * sampleRate));
+    this.bufferLength = this.windowSamples + 2;
+    this.buffers = [];
+    this.writeIndex = 0;
+    this.phase = 0;
+  }
+  
+  // Read a delayed sample with linear interpolation
+  readDelayed(buffer, delay) {
+    let position = this.writeIndex - delay;
+    if (position < 0) position += this.bufferLength;
+    
+    const index = Math.floor(position);
+    const fraction = position - index;
+    const next = (index + 1) % this.bufferLength;
+    
+    return buffer[index] + fraction * (buffer[next] - buffer[index]);
+  }
+  
+  process(inputs, outputs, parameters) {
+    const input = inputs[0];
+    const output = outputs[0];
+    const semitones = parameters.semitones;
+    const channelCount = output.length;
+    
+    // Allocate delay lines as channels appear
+    while (this.buffers.length < channelCount) {
+      this.buffers.push(new Float32Array(this.bufferLength));
+    }
+    
+    const frames = output.length > 0 ? output[0].length : 0;
+    let ratio = Math.pow(2, semitones[0] / 12);
+    
+    for (let i = 0; i < frames; i++) {
+      if (semitones.length > 1) {
+        ratio = Math.pow(2, semitones[i] / 12);
+      }
+      
+      const phaseA = this.phase;
+      const phaseB = (phaseA + 0.5) % 1;
+      const delayA = phaseA * this.windowSamples;
+      const delayB = phaseB * this.windowSamples;
+      const gainA = 0.5 - 0.5 * Math.cos(2 * Math.PI * phaseA);
+      const gainB = 0.5 - 0.5 * Math.cos(2 * Math.PI * phaseB);
+      
+      for (let channel = 0; channel < channelCount; channel++) {
+        const buffer = this.buffers[channel];
+        const inputChannel = input[channel] || input[0];
+        
+        buffer[this.writeIndex] = inputChannel ? inputChannel[i] : 0;
+        
+        output[channel][i] =
+          this.readDelayed(buffer, delayA) * gainA +
+          this.readDelayed(buffer, delayB) * gainB;
+      }
+      
+      // Shrinking the delay raises the pitch, growing it lowers the pitch
+      this.phase += (1 - ratio) / this.windowSamples;
+      this.phase -= Math.floor(this.phase);
+      
+      this.writeIndex = (this.writeIndex + 1) % this.bufferLength;
+    }
+    
+    return true;
+  }
+}
+
+registerProcessor('pitch-shifter', PitchShifterProcessor);
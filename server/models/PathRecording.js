@@ -66,8 +66,17 @@ const PathRecordingSchema = new Schema({
       effects: {
         type: Object,
         default: {}
+      },
+      // Measured output level in dBFS, when the client captured levels
+      outputLevel: {
+        peak: Number,
+        rms: Number
       }
-    }]
+    }],
+    outputLevel: {
+      peak: Number,
+      rms: Number
+    }
   }],
   duration: {
     type: Number,
@@ -0,0 +1,22 @@
+const express = require('express');
+
+const router = express.Router();
+
+/**
+ * Clock sync round trip for shared playback between listeners
+ * Clients compare their send and receive times with the server's
+ * to estimate their clock offset (see ClockSyncService)
+ * GET /api/clock/sync?t=<client send time>
+ */
+router.get('/sync', (req, res) => {
+  const receivedAt = Date.now();
+
+  res.set('Cache-Control', 'no-store');
+  res.json({
+    clientTime: Number(req.query.t) || null,
+    receivedAt,
+    sentAt: Date.now()
+  });
+});
+
+module.exports = router;
@@ -0,0 +1,164 @@
+const express = require('express');
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const PathRecording = require('../models/PathRecording');
+const journeyMixdownService = require('../services/JourneyMixdownService');
+const enhancedEmailService = require('../services/EnhancedEmailService');
+const loudnessAnalysisService = require('../services/LoudnessAnalysisService');
+
+const router = express.Router();
+
+/**
+ * Reject requests that the app's authentication did not attach a user to
+ */
+const requireUser = (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({ error: 'Authentication required' });
+  }
+
+  next();
+};
+
+/**
+ * Reject requests from users who are not administrators
+ */
+const requireAdmin = (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({ error: 'Authentication required' });
+  }
+
+  if (req.user.role !== 'admin') {
+    return res.status(403).json({ error: 'Administrator access required' });
+  }
+
+  next();
+};
+
+/**
+ * Generate a downloadable composition from a recorded path
+ * Responds immediately; the mixdown is rendered in the background
+ * POST /api/compositions/generate-from-path
+ */
+router.post('/generate-from-path', requireUser, async (req, res) => {
+  const {
+    compositionId,
+    path,
+    audioEvents,
+    duration,
+    startTime,
+    endTime,
+    userEmail
+  } = req.body;
+
+  if (!compositionId || !Array.isArray(path) || path.length < 2) {
+    return res.status(400).json({ error: 'A composition ID and at least two path points are required' });
+  }
+
+  try {
+    const recording = await new PathRecording({
+      user: req.user.id,
+      composition: compositionId,
+      recordingId: `rec_${crypto.randomBytes(8).toString('hex')}`,
+      path,
+      audioEvents: audioEvents || [],
+      duration,
+      startTime,
+      endTime,
+      metadata: {
+        userAgent: req.get('User-Agent'),
+        ipAddress: req.ip
+      }
+    }).save();
+
+    // Render in the background and email the download link once it is ready
+    journeyMixdownService.renderRecording(recording.recordingId)
+      .then(rendered => {
+        if (!userEmail) return null;
+
+        return enhancedEmailService.sendEnhancedDownloadEmail(
+          userEmail,
+          rendered.downloadUrl,
+          rendered.expiresAt,
+          rendered.composition.title,
+          rendered,
+          rendered.composition
+        );
+      })
+      .catch(error => console.error('Error completing path composition:', error));
+
+    res.status(202).json({
+      recordingId: recording.recordingId,
+      status: recording.status
+    });
+  } catch (error) {
+    console.error('Error creating path recording:', error);
+    res.status(500).json({ error: 'Failed to generate composition' });
+  }
+});
+
+/**
+ * Get the processing status and download link of a path recording
+ * Only the listener who recorded it, or an administrator, can see it
+ * GET /api/compositions/recordings/:recordingId
+ */
+router.get('/recordings/:recordingId', requireUser, async (req, res) => {
+  try {
+    const recording = await PathRecording.findOne({ recordingId: req.params.recordingId });
+
+    if (!recording) {
+      return res.status(404).json({ error: 'Recording not found' });
+    }
+
+    if (String(recording.user) !== String(req.user.id) && req.user.role !== 'admin') {
+      return res.status(403).json({ error: 'Not allowed to access this recording' });
+    }
+
+    res.json({
+      recordingId: recording.recordingId,
+      status: recording.status,
+      downloadUrl: recording.isDownloadValid ? recording.downloadUrl : null,
+      expiresAt: recording.expiresAt,
+      error: recording.error
+    });
+  } catch (error) {
+    console.error('Error fetching path recording:', error);
+    res.status(500).json({ error: 'Failed to fetch recording' });
+  }
+});
+
+/**
+ * Analyze the loudness of every region of all existing compositions
+ * Responds immediately; the batch job runs in the background
+ * POST /api/compositions/analyze-loudness
+ */
+router.post('/analyze-loudness', requireAdmin, (req, res) => {
+  const force = Boolean(req.body && req.body.force);
+
+  loudnessAnalysisService.analyzeAllCompositions({ force })
+    .catch(error => console.error('Error running loudness analysis:', error));
+
+  res.status(202).json({ status: 'processing' });
+});
+
+/**
+ * Analyze the loudness of the regions of one composition
+ * POST /api/compositions/:compositionId/analyze-loudness
+ */
+router.post('/:compositionId/analyze-loudness', requireAdmin, async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.compositionId)) {
+    return res.status(400).json({ error: 'Invalid composition ID' });
+  }
+
+  try {
+    const result = await loudnessAnalysisService.analyzeComposition(req.params.compositionId, {
+      force: Boolean(req.body && req.body.force)
+    });
+
+    res.json(result);
+  } catch (error) {
+    console.error('Error analyzing composition loudness:', error);
+    res.status(500).json({ error: 'Failed to analyze composition loudness' });
+  }
+});
+
+module.exports = router;
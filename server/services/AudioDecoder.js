@@ -0,0 +1,143 @@
+const fs = require('fs');
+const axios = require('axios');
+const { spawn } = require('child_process');
+
+const FFMPEG_PATH = process.env.FFMPEG_PATH || 'ffmpeg';
+
+/**
+ * Audio Decoder Service
+ * Decodes region audio files to raw PCM files and encodes rendered mixdowns using ffmpeg
+ */
+class AudioDecoder {
+  constructor() {
+    this.sampleRate = 44100;
+    this.channels = 2;
+  }
+
+  /**
+   * Download and decode an audio file to a raw interleaved 32-bit float PCM file
+   * The download is streamed through ffmpeg, so long files never sit in memory
+   * @param {String} url - URL of the audio file
+   * @param {String} outputPath - Path of the PCM file to write
+   * @returns {Promise<Object>} - Reader for the decoded file (see openPcmFile)
+   */
+  async decodeUrlToFile(url, outputPath) {
+    const response = await axios.get(url, { responseType: 'stream' });
+
+    await new Promise((resolve, reject) => {
+      const ffmpeg = spawn(FFMPEG_PATH, [
+        '-hide_banner',
+        '-loglevel', 'error',
+        '-y',
+        '-i', 'pipe:0',
+        '-f', 'f32le',
+        '-acodec', 'pcm_f32le',
+        '-ac', String(this.channels),
+        '-ar', String(this.sampleRate),
+        outputPath
+      ]);
+
+      let errorOutput = '';
+
+      ffmpeg.stderr.on('data', chunk => {
+        errorOutput += chunk.toString();
+      });
+      ffmpeg.on('error', reject);
+      ffmpeg.on('close', code => {
+        if (code !== 0) {
+          reject(new Error(`ffmpeg exited with code ${code}: ${errorOutput.trim()}`));
+          return;
+        }
+
+        resolve();
+      });
+
+      // Ignore EPIPE if ffmpeg stops reading early (e.g. unsupported input)
+      ffmpeg.stdin.on('error', () => {});
+      response.data.on('error', reject);
+      response.data.pipe(ffmpeg.stdin);
+    });
+
+    return this.openPcmFile(outputPath);
+  }
+
+  /**
+   * Open a file written by decodeUrlToFile for reading a block at a time
+   * @param {String} filePath - Path of the PCM file
+   * @returns {Promise<Object>} - { sampleRate, channels, length, read(frame, frames), close() }
+   */
+  async openPcmFile(filePath) {
+    const handle = await fs.promises.open(filePath, 'r');
+    const { size } = await handle.stat();
+    const frameBytes = this.channels * 4;
+    const length = Math.floor(size / frameBytes);
+
+    return {
+      sampleRate: this.sampleRate,
+      channels: this.channels,
+      length,
+
+      /**
+       * Read interleaved frames, wrapping around at the end of the file
+       * @param {Number} frame - First frame to read
+       * @param {Number} frames - Number of frames
+       * @returns {Promise<Float32Array>} - Interleaved samples
+       */
+      read: async (frame, frames) => {
+        const buffer = Buffer.alloc(frames * frameBytes);
+        let filled = 0;
+        let position = length > 0 ? frame % length : 0;
+
+        while (filled < frames && length > 0) {
+          const count = Math.min(frames - filled, length - position);
+
+          await handle.read(buffer, filled * frameBytes, count * frameBytes, position * frameBytes);
+          filled += count;
+          position = (position + count) % length;
+        }
+
+        return new Float32Array(buffer.buffer, buffer.byteOffset, frames * this.channels);
+      },
+
+      close: () => handle.close()
+    };
+  }
+
+  /**
+   * Encode a WAV file to MP3
+   * @param {String} inputPath - Path to the source WAV file
+   * @param {String} outputPath - Path of the MP3 file to write
+   * @param {String} bitrate - Target bitrate (e.g. '192k')
+   * @returns {Promise<String>} - The output path
+   */
+  encodeMp3(inputPath, outputPath, bitrate = '192k') {
+    return new Promise((resolve, reject) => {
+      const ffmpeg = spawn(FFMPEG_PATH, [
+        '-hide_banner',
+        '-loglevel', 'error',
+        '-y',
+        '-i', inputPath,
+        '-codec:a', 'libmp3lame',
+        '-b:a', bitrate,
+        outputPath
+      ]);
+
+      let errorOutput = '';
+
+      ffmpeg.stderr.on('data', chunk => {
+        errorOutput += chunk.toString();
+      });
+      ffmpeg.on('error', reject);
+      ffmpeg.on('close', code => {
+        if (code !== 0) {
+          reject(new Error(`ffmpeg exited with code ${code}: ${errorOutput.trim()}`));
+          return;
+        }
+
+        resolve(outputPath);
+      });
+    });
+  }
+}
+
+module.exports = new AudioDecoder();
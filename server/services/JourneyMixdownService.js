@@ -0,0 +1,458 @@
+const fs = require('fs');
+const path = require('path');
+const AWS = require('aws-sdk');
+const PathRecording = require('../models/PathRecording');
+const audioDecoder = require('./AudioDecoder');
+const loudnessAnalysisService = require('./LoudnessAnalysisService');
+
+// Configure AWS S3
+const s3 = new AWS.S3({
+  accessKeyId: process.env.AWS_ACCESS_KEY_ID,
+  secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY,
+  region: process.env.AWS_REGION
+});
+
+const BLOCK_SIZE = 1024; // frames rendered per processing block
+const DOWNLOAD_EXPIRY = 7 * 24 * 60 * 60; // 7 days in seconds
+
+/**
+ * Journey Mixdown Service
+ * Renders a PathRecording's audio event timeline into a downloadable mixdown
+ */
+class JourneyMixdownService {
+  /**
+   * Render a recording, upload the result and update the PathRecording document
+   * @param {String} recordingId - The recording identifier
+   * @param {Object} options - Render options ({ format: 'mp3' | 'wav' })
+   * @returns {Promise<Object>} - The updated path recording
+   */
+  async renderRecording(recordingId, options = {}) {
+    const format = options.format || 'mp3';
+    const recording = await PathRecording.findOne({ recordingId }).populate('composition');
+
+    if (!recording) {
+      throw new Error(`Path recording ${recordingId} not found`);
+    }
+
+    const tempDir = path.join(__dirname, '../temp');
+    if (!fs.existsSync(tempDir)) {
+      fs.mkdirSync(tempDir, { recursive: true });
+    }
+
+    const wavPath = path.join(tempDir, `mixdown_${recordingId}.wav`);
+    const mp3Path = path.join(tempDir, `mixdown_${recordingId}.mp3`);
+    const outputPath = format === 'mp3' ? mp3Path : wavPath;
+
+    try {
+      recording.status = 'processing';
+      await recording.save();
+
+      await this.renderMixdown(recording, recording.composition, wavPath);
+
+      if (format === 'mp3') {
+        await audioDecoder.encodeMp3(wavPath, mp3Path);
+      }
+
+      // Upload to S3
+      const s3Key = `compositions/${recordingId}.${format}`;
+      await s3.upload({
+        Bucket: process.env.S3_BUCKET_NAME,
+        Key: s3Key,
+        Body: fs.createReadStream(outputPath),
+        ContentType: format === 'mp3' ? 'audio/mpeg' : 'audio/wav',
+        ACL: 'private'
+      }).promise();
+
+      // Generate pre-signed URL (valid for 7 days, same as the path map)
+      recording.downloadUrl = s3.getSignedUrl('getObject', {
+        Bucket: process.env.S3_BUCKET_NAME,
+        Key: s3Key,
+        Expires: DOWNLOAD_EXPIRY
+      });
+      recording.expiresAt = new Date(Date.now() + DOWNLOAD_EXPIRY * 1000);
+      recording.status = 'completed';
+      recording.error = undefined;
+
+      return await recording.save();
+    } catch (error) {
+      console.error(`Error rendering mixdown for recording ${recordingId}:`, error);
+
+      recording.status = 'error';
+      recording.error = error.message;
+      await recording.save();
+
+      throw error;
+    } finally {
+      // Remove temp files
+      [wavPath, mp3Path].forEach(filePath => {
+        if (fs.existsSync(filePath)) {
+          fs.unlinkSync(filePath);
+        }
+      });
+    }
+  }
+
+  /**
+   * Replay the recording's audio events against the region audio and write a 16-bit WAV file
+   * Region audio is decoded to temporary PCM files next to the output and read a block
+   * at a time, so memory use does not grow with the length of the regions
+   * @param {Object} recording - The path recording object
+   * @param {Object} composition - The composition object (with audioRegions)
+   * @param {String} outputPath - Path of the WAV file to write
+   * @returns {Promise<String>} - The output path
+   */
+  async renderMixdown(recording, composition, outputPath) {
+    const sampleRate = audioDecoder.sampleRate;
+    const channels = audioDecoder.channels;
+    const totalFrames = Math.ceil((recording.duration / 1000) * sampleRate);
+    const timeline = this.buildTimeline(recording.audioEvents);
+
+    const regions = new Map();
+    const pcmPaths = [];
+    const compositionRegions = (composition && composition.audioRegions) || [];
+
+    try {
+      // Decode the audio for every region that appears in the timeline
+      for (const [regionId, keyframes] of timeline) {
+        const region = compositionRegions.find(r => String(r._id || r.id) === regionId);
+
+        if (!region || !region.audioUrl) {
+          console.warn(`No audio found for region ${regionId}, skipping in mixdown`);
+          continue;
+        }
+
+        const pcmPath = `${outputPath}.${pcmPaths.length}.pcm`;
+        pcmPaths.push(pcmPath);
+
+        const reader = await audioDecoder.decodeUrlToFile(region.audioUrl, pcmPath);
+
+        // An empty decode would make the looping playhead NaN and silence the whole mix
+        if (!reader.length) {
+          console.warn(`Region ${regionId} decoded to no audio, skipping in mixdown`);
+          await reader.close();
+          continue;
+        }
+
+        regions.set(regionId, {
+          keyframes,
+          reader,
+          // Same loudness makeup gain as client playback
+          trim: await loudnessAnalysisService.getNormalizationGain(
+            region.loudness || await loudnessAnalysisService.analyzePcm(reader)
+          ),
+          effects: this.createEffectState(region.transitionSettings, sampleRate, channels),
+          playhead: 0,
+          wasAudible: false
+        });
+      }
+
+      const output = fs.createWriteStream(outputPath);
+      output.write(this.createWavHeader(totalFrames, sampleRate, channels));
+
+      const mix = [];
+      for (let c = 0; c < channels; c++) {
+        mix.push(new Float32Array(BLOCK_SIZE));
+      }
+
+      for (let blockStart = 0; blockStart < totalFrames; blockStart += BLOCK_SIZE) {
+        const frames = Math.min(BLOCK_SIZE, totalFrames - blockStart);
+        const startTime = blockStart / sampleRate;
+        const endTime = (blockStart + frames) / sampleRate;
+
+        mix.forEach(channel => channel.fill(0));
+
+        for (const region of regions.values()) {
+          await this.renderRegionBlock(region, mix, frames, startTime, endTime);
+        }
+
+        await this.writeBlock(output, mix, frames);
+      }
+
+      await new Promise((resolve, reject) => {
+        output.on('error', reject);
+        output.end(resolve);
+      });
+
+      return outputPath;
+    } finally {
+      for (const region of regions.values()) {
+        await region.reader.close();
+      }
+
+      pcmPaths.forEach(filePath => {
+        if (fs.existsSync(filePath)) {
+          fs.unlinkSync(filePath);
+        }
+      });
+    }
+  }
+
+  /**
+   * Convert the recorded snapshots into per-region keyframes
+   * Regions missing from a snapshot are treated as silent at that point in time
+   * @param {Array} audioEvents - Recorded audio snapshots
+   * @returns {Map} - regionId => [{ time, volume, effects }]
+   */
+  buildTimeline(audioEvents = []) {
+    const events = [...audioEvents].sort((a, b) => a.timeSinceStart - b.timeSinceStart);
+    const regionIds = new Set();
+
+    events.forEach(event => {
+      event.activeRegions.forEach(region => {
+        if (region.regionId) {
+          regionIds.add(String(region.regionId));
+        }
+      });
+    });
+
+    const timeline = new Map();
+
+    regionIds.forEach(regionId => {
+      const keyframes = events.map(event => {
+        const entry = event.activeRegions.find(region => String(region.regionId) === regionId);
+
+        return {
+          time: event.timeSinceStart / 1000,
+          volume: entry ? entry.volume : 0,
+          effects: entry ? this.normalizeEffects(entry.effects) : []
+        };
+      });
+
+      timeline.set(regionId, keyframes);
+    });
+
+    return timeline;
+  }
+
+  /**
+   * Effects are recorded by the client as a list of effect names,
+   * older recordings may store them as an object of enabled flags
+   * @param {Array|Object} effects - Recorded effects
+   * @returns {Array} - List of active effect names
+   */
+  normalizeEffects(effects) {
+    if (!effects) return [];
+    if (Array.isArray(effects)) return effects;
+
+    return Object.keys(effects).filter(type => effects[type]);
+  }
+
+  /**
+   * Get the interpolated gain and active effects of a region at a point in time
+   * @param {Array} keyframes - Region keyframes
+   * @param {Number} time - Time in seconds since the start of the recording
+   * @returns {Object} - { volume, effects }
+   */
+  getStateAt(keyframes, time) {
+    if (keyframes.length === 0) {
+      return { volume: 0, effects: [] };
+    }
+
+    if (time <= keyframes[0].time) {
+      return { volume: keyframes[0].volume, effects: keyframes[0].effects };
+    }
+
+    for (let i = 1; i < keyframes.length; i++) {
+      const next = keyframes[i];
+
+      if (time <= next.time) {
+        const previous = keyframes[i - 1];
+        const span = next.time - previous.time;
+        const progress = span > 0 ? (time - previous.time) / span : 1;
+
+        return {
+          volume: previous.volume + progress * (next.volume - previous.volume),
+          effects: previous.effects
+        };
+      }
+    }
+
+    const last = keyframes[keyframes.length - 1];
+    return { volume: last.volume, effects: last.effects };
+  }
+
+  /**
+   * Mix one block of a region into the output buffers
+   * @param {Object} region - Region render state
+   * @param {Array} mix - Output channel buffers
+   * @param {Number} frames - Number of frames in this block
+   * @param {Number} startTime - Block start time in seconds
+   * @param {Number} endTime - Block end time in seconds
+   * @returns {Promise} - Resolves once the block is mixed
+   */
+  async renderRegionBlock(region, mix, frames, startTime, endTime) {
+    const start = this.getStateAt(region.keyframes, startTime);
+    const end = this.getStateAt(region.keyframes, endTime);
+    const audible = start.volume > 0 || end.volume > 0;
+
+    // Let delay tails ring out after the region has faded
+    if (!audible && !region.effects.delay.active) {
+      region.wasAudible = false;
+      return;
+    }
+
+    // Regions restart from the beginning each time they are entered, as on the client
+    if (audible && !region.wasAudible) {
+      region.playhead = 0;
+    }
+    region.wasAudible = audible;
+
+    const { reader, effects } = region;
+    const source = audible ? await reader.read(region.playhead, frames) : null;
+
+    effects.lowpass.active = start.effects.includes('lowpass');
+    effects.highpass.active = start.effects.includes('highpass');
+    effects.delay.active = start.effects.includes('delay') || (effects.delay.active && !audible);
+
+    for (let i = 0; i < frames; i++) {
+      const gain = (start.volume + (i / frames) * (end.volume - start.volume)) * region.trim;
+
+      for (let c = 0; c < mix.length; c++) {
+        let sample = audible ? source[i * reader.channels + c] * gain : 0;
+
+        if (effects.lowpass.active) sample = this.processBiquad(effects.lowpass, c, sample);
+        if (effects.highpass.active) sample = this.processBiquad(effects.highpass, c, sample);
+        if (effects.delay.active) sample = this.processDelay(effects.delay, c, sample);
+
+        mix[c][i] += sample;
+      }
+    }
+
+    if (audible) {
+      // Region audio loops, as on the client
+      region.playhead = (region.playhead + frames) % reader.length;
+    }
+  }
+
+  /**
+   * Create the offline effect state for a region from its transition settings
+   * Only lowpass, highpass and delay are reproduced in the mixdown
+   * @param {Object} transitionSettings - Region transition settings
+   * @param {Number} sampleRate - Output sample rate
+   * @param {Number} channels - Output channel count
+   * @returns {Object} - Effect state
+   */
+  createEffectState(transitionSettings = {}, sampleRate, channels) {
+    const advanced = transitionSettings.advancedSettings || {};
+    const lowpassFrequency = advanced.lowpassFrequency ? advanced.lowpassFrequency.end : 500;
+    const highpassFrequency = advanced.highpassFrequency ? advanced.highpassFrequency.end : 2000;
+    const delayTime = advanced.delayTime ? advanced.delayTime.start : 0.3;
+    const delayFeedback = advanced.delayFeedback ? advanced.delayFeedback.start : 0.3;
+    const delayLength = Math.max(1, Math.round(delayTime * sampleRate));
+
+    return {
+      lowpass: this.createBiquad('lowpass', lowpassFrequency, 1.0, sampleRate, channels),
+      highpass: this.createBiquad('highpass', highpassFrequency, 1.0, sampleRate, channels),
+      delay: {
+        active: false,
+        feedback: delayFeedback,
+        index: 0,
+        lines: Array.from({ length: channels }, () => new Float32Array(delayLength))
+      }
+    };
+  }
+
+  /**
+   * Create biquad filter coefficients and state (RBJ audio EQ cookbook)
+   */
+  createBiquad(type, frequency, Q, sampleRate, channels) {
+    const w0 = 2 * Math.PI * Math.min(frequency, sampleRate / 2 - 1) / sampleRate;
+    const alpha = Math.sin(w0) / (2 * Q);
+    const cos = Math.cos(w0);
+    const a0 = 1 + alpha;
+
+    const b1 = type === 'lowpass' ? 1 - cos : -(1 + cos);
+    const b0 = type === 'lowpass' ? (1 - cos) / 2 : (1 + cos) / 2;
+
+    return {
+      active: false,
+      b0: b0 / a0,
+      b1: b1 / a0,
+      b2: b0 / a0,
+      a1: (-2 * cos) / a0,
+      a2: (1 - alpha) / a0,
+      state: Array.from({ length: channels }, () => ({ x1: 0, x2: 0, y1: 0, y2: 0 }))
+    };
+  }
+
+  processBiquad(filter, channel, input) {
+    const s = filter.state[channel];
+    const output = filter.b0 * input + filter.b1 * s.x1 + filter.b2 * s.x2 - filter.a1 * s.y1 - filter.a2 * s.y2;
+
+    s.x2 = s.x1;
+    s.x1 = input;
+    s.y2 = s.y1;
+    s.y1 = output;
+
+    return output;
+  }
+
+  processDelay(delay, channel, input) {
+    const line = delay.lines[channel];
+    const delayed = line[delay.index];
+
+    line[delay.index] = input + delayed * delay.feedback;
+
+    // Advance the shared write index once all channels have been processed
+    if (channel === delay.lines.length - 1) {
+      delay.index = (delay.index + 1) % line.length;
+    }
+
+    return input + delayed;
+  }
+
+  /**
+   * Create a 16-bit PCM WAV header
+   * @param {Number} frames - Total number of frames
+   * @param {Number} sampleRate - Sample rate
+   * @param {Number} channels - Channel count
+   * @returns {Buffer} - 44 byte header
+   */
+  createWavHeader(frames, sampleRate, channels) {
+    const bytesPerSample = 2;
+    const dataSize = frames * channels * bytesPerSample;
+    const header = Buffer.alloc(44);
+
+    header.write('RIFF', 0);
+    header.writeUInt32LE(36 + dataSize, 4);
+    header.write('WAVE', 8);
+    header.write('fmt ', 12);
+    header.writeUInt32LE(16, 16);
+    header.writeUInt16LE(1, 20); // PCM
+    header.writeUInt16LE(channels, 22);
+    header.writeUInt32LE(sampleRate, 24);
+    header.writeUInt32LE(sampleRate * channels * bytesPerSample, 28);
+    header.writeUInt16LE(channels * bytesPerSample, 32);
+    header.writeUInt16LE(bytesPerSample * 8, 34);
+    header.write('data', 36);
+    header.writeUInt32LE(dataSize, 40);
+
+    return header;
+  }
+
+  /**
+   * Write one block of the mix as interleaved 16-bit samples
+   * @param {WriteStream} output - WAV file stream
+   * @param {Array} mix - Output channel buffers
+   * @param {Number} frames - Number of frames to write
+   * @returns {Promise} - Resolves once the stream can accept more data
+   */
+  writeBlock(output, mix, frames) {
+    const block = Buffer.alloc(frames * mix.length * 2);
+
+    for (let i = 0; i < frames; i++) {
+      for (let c = 0; c < mix.length; c++) {
+        const sample = Math.max(-1, Math.min(1, mix[c][i]));
+        block.writeInt16LE(Math.round(sample * 32767), (i * mix.length + c) * 2);
+      }
+    }
+
+    if (output.write(block)) {
+      return Promise.resolve();
+    }
+
+    return new Promise(resolve => output.once('drain', resolve));
+  }
+}
+
+module.exports = new JourneyMixdownService();
@@ -0,0 +1,167 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const audioDecoder = require('./AudioDecoder');
+
+const ANALYSIS_CHUNK_FRAMES = 65536; // frames measured at a time
+
+// The measurement is shared with the client; it is an ES module, so it is loaded with import()
+const loudnessMeter = import('../../shared/loudness.mjs');
+
+/**
+ * Loudness Analysis Service
+ * Measures the integrated loudness and peak of region audio, so that region
+ * volume 1.0 means the same perceived level everywhere. Uses the same
+ * measurement as client playback (shared/loudness.mjs).
+ */
+class LoudnessAnalysisService {
+  /**
+   * Download, decode and analyze an audio file
+   * The file is decoded to a temporary file and measured in chunks
+   * @param {String} url - URL of the audio file
+   * @returns {Promise<Object>} - { integratedLoudness, peak, duration, analyzedAt }
+   */
+  async analyzeUrl(url) {
+    const pcmPath = path.join(os.tmpdir(), `loudness_${crypto.randomBytes(8).toString('hex')}.pcm`);
+    let reader = null;
+
+    try {
+      reader = await audioDecoder.decodeUrlToFile(url, pcmPath);
+      return await this.analyzePcm(reader);
+    } finally {
+      if (reader) await reader.close();
+      fs.promises.unlink(pcmPath).catch(() => {});
+    }
+  }
+
+  /**
+   * Analyze decoded audio a chunk at a time
+   * @param {Object} reader - PCM file reader from AudioDecoder
+   * @returns {Promise<Object>} - { integratedLoudness, peak, duration, analyzedAt }
+   */
+  async analyzePcm(reader) {
+    const { createLoudnessMeter } = await loudnessMeter;
+    const meter = createLoudnessMeter(reader.channels, reader.sampleRate);
+
+    for (let frame = 0; frame < reader.length; frame += ANALYSIS_CHUNK_FRAMES) {
+      const frames = Math.min(ANALYSIS_CHUNK_FRAMES, reader.length - frame);
+      const interleaved = await reader.read(frame, frames);
+      const channelData = [];
+
+      for (let c = 0; c < reader.channels; c++) {
+        const channel = new Float32Array(frames);
+        for (let i = 0; i < frames; i++) {
+          channel[i] = interleaved[i * reader.channels + c];
+        }
+        channelData.push(channel);
+      }
+
+      meter.push(channelData);
+    }
+
+    return {
+      ...meter.getResult(),
+      duration: reader.length / reader.sampleRate,
+      analyzedAt: new Date()
+    };
+  }
+
+  /**
+   * Analyze every region of a composition and store the results on the regions
+   * @param {String} compositionId - Composition ID
+   * @param {Object} options - { force: re-analyze regions that already have a result }
+   * @returns {Promise<Object>} - { analyzed, skipped, failed }
+   */
+  async analyzeComposition(compositionId, options = {}) {
+    const compositions = this.getCompositionCollection();
+    const composition = await compositions.findOne({ _id: new mongoose.Types.ObjectId(compositionId) });
+
+    if (!composition) {
+      throw new Error(`Composition ${compositionId} not found`);
+    }
+
+    return this.analyzeRegions(composition, options);
+  }
+
+  /**
+   * Batch job: analyze the regions of all existing compositions
+   * @param {Object} options - { force: re-analyze regions that already have a result }
+   * @returns {Promise<Object>} - Totals { compositions, analyzed, skipped, failed }
+   */
+  async analyzeAllCompositions(options = {}) {
+    const totals = { compositions: 0, analyzed: 0, skipped: 0, failed: 0 };
+    const cursor = this.getCompositionCollection().find({ 'audioRegions.0': { $exists: true } });
+
+    // One composition at a time, to keep the load on the server low
+    for (let composition = await cursor.next(); composition; composition = await cursor.next()) {
+      const result = await this.analyzeRegions(composition, options);
+
+      totals.compositions++;
+      totals.analyzed += result.analyzed;
+      totals.skipped += result.skipped;
+      totals.failed += result.failed;
+    }
+
+    return totals;
+  }
+
+  /**
+   * Analyze the regions of a composition document and store the results
+   * @param {Object} composition - Composition document
+   * @param {Object} options - { force }
+   * @returns {Promise<Object>} - { analyzed, skipped, failed }
+   */
+  async analyzeRegions(composition, options = {}) {
+    const result = { analyzed: 0, skipped: 0, failed: 0 };
+    const compositions = this.getCompositionCollection();
+
+    for (const region of composition.audioRegions || []) {
+      if (!region.audioUrl || (region.loudness && !options.force)) {
+        result.skipped++;
+        continue;
+      }
+
+      try {
+        const loudness = await this.analyzeUrl(region.audioUrl);
+        const regionFilter = region._id
+          ? { 'audioRegions._id': region._id }
+          : { 'audioRegions.id': region.id };
+
+        await compositions.updateOne(
+          { _id: composition._id, ...regionFilter },
+          { $set: { 'audioRegions.$.loudness': loudness } }
+        );
+
+        result.analyzed++;
+      } catch (error) {
+        console.error(`Error analyzing loudness of region ${region._id || region.id}:`, error);
+        result.failed++;
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Get the makeup gain that brings audio to the target loudness
+   * @param {Object} loudness - { integratedLoudness, peak }
+   * @returns {Promise<Number>} - Linear gain
+   */
+  async getNormalizationGain(loudness) {
+    const { getNormalizationGain } = await loudnessMeter;
+    return getNormalizationGain(loudness);
+  }
+
+  /**
+   * The compositions collection, used directly so results can be stored on
+   * regions without depending on the Composition schema
+   * @returns {Collection} - MongoDB collection
+   */
+  getCompositionCollection() {
+    return mongoose.connection.collection('compositions');
+  }
+}
+
+module.exports = new LoudnessAnalysisService();
@@ -0,0 +1,178 @@
+/**
+ * Loudness measurement shared by the client and the server, so that region
+ * volume 1.0 is the same perceived level in live playback and in mixdowns.
+ * An ES module (.mjs) so the browser bundle imports it and Node loads it
+ * with import() from the CommonJS server.
+ */
+
+/**
+ * Loudness that region volume 1.0 is normalized to, in LUFS
+ */
+export const LOUDNESS_TARGET = -16;
+
+/**
+ * Create the two-stage K-weighting filter of ITU-R BS.1770 (high shelf, then high pass)
+ * The filter keeps its state between calls, so audio can be weighted in chunks
+ * @param {Number} sampleRate - Sample rate in Hz
+ * @returns {Function} (samples: Float32Array) => Float32Array of weighted samples
+ */
+function createKWeightingFilter(sampleRate) {
+  // Stage 1: high shelf modelling the acoustic effect of the head
+  let K = Math.tan(Math.PI * 1681.974450955533 / sampleRate);
+  let Q = 0.7071752369554196;
+  const Vh = Math.pow(10, 3.999843853973347 / 20);
+  const Vb = Math.pow(Vh, 0.4996667741545416);
+  let a0 = 1 + K / Q + K * K;
+  
+  const shelf = {
+    b0: (Vh + Vb * K / Q + K * K) / a0,
+    b1: 2 * (K * K - Vh) / a0,
+    b2: (Vh - Vb * K / Q + K * K) / a0,
+    a1: 2 * (K * K - 1) / a0,
+    a2: (1 - K / Q + K * K) / a0
+  };
+  
+  // Stage 2: high pass removing content below the range of hearing
+  K = Math.tan(Math.PI * 38.13547087602444 / sampleRate);
+  Q = 0.5003270373238773;
+  a0 = 1 + K / Q + K * K;
+  
+  const highpass = {
+    b0: 1,
+    b1: -2,
+    b2: 1,
+    a1: 2 * (K * K - 1) / a0,
+    a2: (1 - K / Q + K * K) / a0
+  };
+  
+  let x1 = 0, x2 = 0, y1 = 0, y2 = 0; // shelf state
+  let u1 = 0, u2 = 0, z1 = 0, z2 = 0; // high pass state
+  
+  return samples => {
+    const output = new Float32Array(samples.length);
+    
+    for (let i = 0; i < samples.length; i++) {
+      const x = samples[i];
+      const y = shelf.b0 * x + shelf.b1 * x1 + shelf.b2 * x2 - shelf.a1 * y1 - shelf.a2 * y2;
+      x2 = x1; x1 = x; y2 = y1; y1 = y;
+      
+      const z = highpass.b0 * y + highpass.b1 * u1 + highpass.b2 * u2 - highpass.a1 * z1 - highpass.a2 * z2;
+      u2 = u1; u1 = y; z2 = z1; z1 = z;
+      
+      output[i] = z;
+    }
+    
+    return output;
+  };
+}
+
+/**
+ * Create a meter that measures audio fed to it in consecutive chunks, so long
+ * files can be measured without holding them in memory
+ * @param {Number} channels - Channel count
+ * @param {Number} sampleRate - Sample rate in Hz
+ * @returns {Object} { push(channelData), getResult() } (see measureLoudness)
+ */
+export function createLoudnessMeter(channels, sampleRate) {
+  const step = Math.max(1, Math.round(sampleRate * 0.1));
+  const filters = Array.from({ length: channels }, () => createKWeightingFilter(sampleRate));
+  const stepEnergy = [];
+  let length = 0;
+  let peak = 0;
+  
+  return {
+    /**
+     * Add the next chunk of audio
+     * @param {Array<Float32Array>} channelData - Samples per channel, of equal length
+     */
+    push(channelData) {
+      const chunkLength = channelData.length > 0 ? channelData[0].length : 0;
+      
+      // Sum the weighted energy of every channel in 100 ms steps
+      channelData.forEach((samples, channel) => {
+        const weighted = filters[channel](samples);
+        
+        for (let i = 0; i < chunkLength; i++) {
+          const index = Math.floor((length + i) / step);
+          stepEnergy[index] = (stepEnergy[index] || 0) + weighted[i] * weighted[i];
+          peak = Math.max(peak, Math.abs(samples[i]));
+        }
+      });
+      
+      length += chunkLength;
+    },
+    
+    /**
+     * Get the loudness of all audio pushed so far
+     * @returns {Object} { integratedLoudness, peak } in LUFS and dBFS (-Infinity for silence)
+     */
+    getResult() {
+      const stepCount = Math.ceil(length / step);
+      
+      // Four steps make one 400 ms block; audio shorter than a block is measured as a whole
+      const blocks = [];
+      const stepsPerBlock = Math.min(4, stepCount);
+      
+      for (let i = 0; i + stepsPerBlock <= stepCount; i++) {
+        let energy = 0;
+        
+        for (let j = i; j < i + stepsPerBlock; j++) {
+          energy += stepEnergy[j] || 0;
+        }
+        
+        const blockLength = Math.min(length, (i + stepsPerBlock) * step) - i * step;
+        blocks.push(energy / blockLength);
+      }
+      
+      const toLoudness = meanSquare => -0.691 + 10 * Math.log10(meanSquare);
+      const gatedLoudness = threshold => {
+        const gated = blocks.filter(meanSquare => toLoudness(meanSquare) > threshold);
+        if (gated.length === 0) return -Infinity;
+        
+        return toLoudness(gated.reduce((sum, meanSquare) => sum + meanSquare, 0) / gated.length);
+      };
+      
+      const ungated = gatedLoudness(-70);
+      
+      return {
+        integratedLoudness: ungated === -Infinity ? -Infinity : gatedLoudness(ungated - 10),
+        peak: 20 * Math.log10(peak)
+      };
+    }
+  };
+}
+
+/**
+ * Measure the integrated loudness (gated, K-weighted RMS in LUFS) and sample peak of audio
+ * Uses 400 ms blocks with 75% overlap, an absolute gate at -70 LUFS
+ * and a relative gate 10 LU below the ungated loudness
+ * @param {Array<Float32Array>} channelData - Samples per channel
+ * @param {Number} sampleRate - Sample rate in Hz
+ * @returns {Object} { integratedLoudness, peak } in LUFS and dBFS (-Infinity for silence)
+ */
+export function measureLoudness(channelData, sampleRate) {
+  const meter = createLoudnessMeter(channelData.length, sampleRate);
+  meter.push(channelData);
+  
+  return meter.getResult();
+}
+
+/**
+ * Get the makeup gain that brings audio to the target loudness
+ * The gain is limited so peaks stay below -1 dBFS and quiet files are not boosted by more than 12 dB
+ * @param {Object} loudness - Result of analyzeLoudness
+ * @param {Number} target - Target loudness in LUFS
+ * @returns {Number} Linear gain
+ */
+export function getNormalizationGain(loudness, target = LOUDNESS_TARGET) {
+  if (!loudness || !Number.isFinite(loudness.integratedLoudness)) return 1;
+  
+  let gainDb = Math.min(12, target - loudness.integratedLoudness);
+  
+  // Boosting stops where peaks would reach the ceiling; cuts are never limited
+  if (gainDb > 0 && Number.isFinite(loudness.peak)) {
+    gainDb = Math.min(gainDb, Math.max(0, -1 - loudness.peak));
+  }
+  
+  return Math.pow(10, gainDb / 20);
+}